@@ -2,22 +2,55 @@ const express = require('express');
 const path = require('path');
 
 const productRoutes = require('./routes/product');
+const orderRoutes = require('./routes/order');
+const cartRoutes = require('./routes/cart');
+const cartsRoutes = require('./routes/carts');
+const authRoutes = require('./routes/auth');
+const meRoutes = require('./routes/me');
+const promotionRoutes = require('./routes/promotion');
+const shippingRoutes = require('./routes/shipping');
+const imageRoutes = require('./routes/image');
+const paymentRoutes = require('./routes/payment');
+const frontRoutes = require('./routes/front');
+const { notFoundHandler, errorHandler } = require('./middlewares/error');
+const { resolveCurrency } = require('./middlewares/currency');
+const { resolveLanguage } = require('./middlewares/locale');
+const images = require('./services/images');
 
 const app = express();
 
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content, Accept, Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content, Accept, Content-Type, Authorization, Idempotency-Key');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Total-Count, X-Page, X-Limit, Idempotent-Replayed, Content-Disposition');
   next();
 });
 
 app.use('/images', express.static(path.join(__dirname, 'images')));
+app.use('/images', express.static(images.UPLOADS_DIR));
 app.use(express.static('images'));
 
+// storefront pages, so a single server runs the whole stack
+app.use(frontRoutes);
+
 app.use(express.urlencoded({extended: true}));
-app.use(express.json());
+// raw body is kept to authenticate payment notifications
+app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
 
+app.use('/api', resolveCurrency, resolveLanguage);
 app.use('/api/products', productRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/carts', cartsRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/images', imageRoutes);
+app.use('/api/payments', paymentRoutes);
+
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
 
 module.exports = app;
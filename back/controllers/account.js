@@ -0,0 +1,131 @@
+const uuidv4 = require('uuid/v4');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const orderSchema = require('../services/orderSchema');
+const lifecycle = require('../services/orderLifecycle');
+const session = require('../services/session');
+const users = require('../services/users');
+const images = require('../services/images');
+const { ApiError } = require('../errors');
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+
+/**
+ * User as sent to clients, without password hash.
+ */
+const publicUser = ({ passwordHash, ...user }) => user;
+
+/**
+ *
+ * Expects request to contain:
+ * contact: {
+ *   firstName: string,
+ *   lastName: string,
+ *   address: string,
+ *   city: string,
+ *   email: string <-- used to log in
+ * }
+ * password: string
+ *
+ * Responds with a session token and the user.
+ *
+ */
+exports.register = (req, res, next) => {
+  const errors = orderSchema.validateContact(req.body.contact);
+  const password = req.body.password;
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+    errors.push({
+      field: 'password',
+      code: 'invalid_length',
+      message: 'must be between ' + PASSWORD_MIN_LENGTH + ' and ' + PASSWORD_MAX_LENGTH + ' characters'
+    });
+  }
+  if (errors.length) {
+    return next(new ApiError(400, 'INVALID_ACCOUNT', 'Invalid account!', errors));
+  }
+  const contact = orderSchema.pickContact(req.body.contact);
+  users.findByEmail(contact.email).then(
+    (existing) => {
+      if (existing) {
+        throw new ApiError(409, 'EMAIL_TAKEN', 'An account already exists with this email!');
+      }
+      return session.hashPassword(password);
+    }
+  ).then(
+    (passwordHash) => {
+      return users.createUser({
+        userId: uuidv4(),
+        email: contact.email,
+        contact: contact,
+        passwordHash: passwordHash,
+        createdAt: new Date().toISOString()
+      });
+    }
+  ).then(
+    (user) => {
+      res.status(201).json({
+        token: session.createToken(user.userId),
+        user: publicUser(user)
+      });
+    }
+  ).catch(next);
+};
+
+/**
+ *
+ * Expects request to contain:
+ * email: string
+ * password: string
+ *
+ * Responds with a session token and the user.
+ *
+ */
+exports.login = (req, res, next) => {
+  const invalidCredentials = new ApiError(401, 'INVALID_CREDENTIALS', 'Invalid email or password!');
+  if (typeof req.body.email !== 'string' || typeof req.body.password !== 'string') {
+    return next(invalidCredentials);
+  }
+  users.findByEmail(req.body.email).then(
+    (user) => {
+      // unknown emails take as long to answer, so accounts can't be told from them
+      return session.verifyPassword(req.body.password, user ? user.passwordHash : null).then(
+        (valid) => {
+          if (!user || !valid) {
+            throw invalidCredentials;
+          }
+          res.status(200).json({
+            token: session.createToken(user.userId),
+            user: publicUser(user)
+          });
+        }
+      );
+    }
+  ).catch(next);
+};
+
+exports.getMe = (req, res, next) => {
+  User.findById(req.userId).then(
+    (user) => {
+      if (!user) {
+        throw new ApiError(401, 'UNAUTHORIZED', 'Unauthorized!');
+      }
+      res.status(200).json(publicUser(user));
+    }
+  ).catch(next);
+};
+
+/**
+ * Orders of the logged in user, newest first.
+ */
+exports.getMyOrders = (req, res, next) => {
+  Order.find().then(
+    (orders) => {
+      const userOrders = orders
+        .filter(order => order.userId === req.userId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(order => lifecycle.publicOrder({ ...order, products: images.withLineImageUrls(req, order.products) }));
+      res.status(200).json(userOrders);
+    }
+  ).catch(next);
+};
@@ -0,0 +1,189 @@
+const uuidv4 = require('uuid/v4');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const checkout = require('../services/checkout');
+const orderSchema = require('../services/orderSchema');
+const images = require('../services/images');
+const variants = require('../services/variants');
+const { ApiError } = require('../errors');
+
+/**
+ *
+ * Expects request to contain:
+ * products: [{
+ *   productId: string,
+ *   sku: string, <-- variant of the product
+ *   quantity: number
+ * }]
+ * promoCode?: string
+ * shipping?: { country: string, postalCode: string, method: string }
+ * currency?: string
+ *
+ * Responds with the same lines priced by the server and the cart totals,
+ * discounted when a valid promo code is given and including shipping cost
+ * when a shipping method is chosen.
+ *
+ */
+exports.quoteCart = (req, res, next) => {
+  checkout.quote(req.body, { currency: req.currency, language: req.language }).then(
+    (quote) => {
+      res.status(200).json({ ...quote, products: images.withLineImageUrls(req, quote.products) });
+    }
+  ).catch(next);
+};
+
+/**
+ * Lines by SKU, lines sent or stored by color being given the SKU of their
+ * variant. Lines of a same variant are merged keeping the highest quantity,
+ * as clients do when merging carts, and color lines of variants that no
+ * longer exist are dropped.
+ */
+const toSkuLines = (lines, products) => {
+  return lines.reduce((checked, line) => {
+    let sku = line.sku;
+    if (sku === undefined) {
+      const product = products.find(candidate => candidate._id === line.productId);
+      const variant = product && variants.findVariant(product, line);
+      if (!variant) {
+        return checked;
+      }
+      sku = variant.sku;
+    }
+    const existing = checked.find(item => isSameLine(item, line.productId, sku));
+    if (existing) {
+      existing.quantity = Math.max(existing.quantity, line.quantity);
+      return checked;
+    }
+    return [...checked, { productId: line.productId, sku: sku, quantity: line.quantity }];
+  }, []);
+};
+
+/**
+ * Validate lines, rejecting with every failing field, then store them by SKU.
+ */
+const checkLines = (lines) => {
+  if (Array.isArray(lines) && !lines.length) {
+    return Promise.resolve([]);
+  }
+  return orderSchema.validateLines(lines).then(
+    (errors) => {
+      if (errors.length) {
+        throw new ApiError(400, 'INVALID_CART', 'Invalid cart!', errors);
+      }
+      return Product.find();
+    }
+  ).then(
+    (products) => toSkuLines(lines, products)
+  );
+};
+
+const isSameLine = (line, productId, sku) => {
+  return line.productId === productId && line.sku === sku;
+};
+
+/**
+ * Apply `change` to a stored cart lines, then respond with the cart.
+ * Lines are changed within the storage write, so concurrent changes of a
+ * cart all apply. Lines stored by color are changed by SKU.
+ */
+const updateCart = (req, res, next, change) => {
+  Product.find().then(
+    (products) => Cart.update(req.params.cartId, cart => ({
+      products: change(toSkuLines(cart.products, products)),
+      updatedAt: new Date().toISOString()
+    }))
+  ).then(
+    (cart) => {
+      if (!cart) {
+        throw new ApiError(404, 'CART_NOT_FOUND', 'Cart not found!');
+      }
+      res.status(200).json(cart);
+    }
+  ).catch(next);
+};
+
+/**
+ *
+ * Create an anonymous cart, optionally filled with:
+ * products: [{ productId: string, sku: string, quantity: number }]
+ *
+ * The returned `cartId` is the only way to access the cart afterwards.
+ *
+ */
+exports.createCart = (req, res, next) => {
+  checkLines(req.body.products || []).then(
+    (lines) => {
+      const now = new Date().toISOString();
+      return Cart.create({
+        cartId: uuidv4(),
+        products: lines,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+  ).then(
+    (cart) => res.status(201).json(cart)
+  ).catch(next);
+};
+
+/**
+ * Respond with a cart, lines stored by color being answered by SKU.
+ */
+exports.getCart = (req, res, next) => {
+  Promise.all([Cart.findById(req.params.cartId), Product.find()]).then(
+    ([cart, products]) => {
+      if (!cart) {
+        throw new ApiError(404, 'CART_NOT_FOUND', 'Cart not found!');
+      }
+      res.status(200).json({ ...cart, products: toSkuLines(cart.products, products) });
+    }
+  ).catch(next);
+};
+
+/**
+ * Replace every line, used to synchronize a whole cart at once.
+ */
+exports.replaceCart = (req, res, next) => {
+  checkLines(req.body.products).then(
+    (lines) => updateCart(req, res, next, () => lines)
+  ).catch(next);
+};
+
+/**
+ * Add `quantity` to the line matching `productId` and `sku`, creating it if needed.
+ */
+exports.addLine = (req, res, next) => {
+  checkLines([req.body]).then(
+    ([line]) => updateCart(req, res, next, (lines) => {
+      const existing = lines.find(item => isSameLine(item, line.productId, line.sku));
+      if (!existing) {
+        return [...lines, line];
+      }
+      return lines.map(item => item === existing ? { ...item, quantity: item.quantity + line.quantity } : item);
+    })
+  ).catch(next);
+};
+
+/**
+ * Set the quantity of a line, creating it if needed.
+ */
+exports.updateLine = (req, res, next) => {
+  const { productId, sku } = req.params;
+  checkLines([{ productId: productId, sku: sku, quantity: req.body.quantity }]).then(
+    ([line]) => updateCart(req, res, next, (lines) => {
+      if (!lines.some(item => isSameLine(item, productId, sku))) {
+        return [...lines, line];
+      }
+      return lines.map(item => isSameLine(item, productId, sku) ? line : item);
+    })
+  ).catch(next);
+};
+
+exports.removeLine = (req, res, next) => {
+  const { productId, sku } = req.params;
+  updateCart(req, res, next, lines => lines.filter(item => !isSameLine(item, productId, sku)));
+};
+
+exports.clearCart = (req, res, next) => {
+  updateCart(req, res, next, () => []);
+};
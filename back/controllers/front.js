@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+
+const FRONT_DIR = path.resolve(__dirname, '..', process.env.FRONT_DIR || '../front');
+const FRONT_PROFILE = process.env.FRONT_PROFILE || 'local';
+
+exports.FRONT_DIR = FRONT_DIR;
+
+/**
+ *
+ * Responds with the front end `config.json`, its profile replaced by
+ * FRONT_PROFILE so that pages served here call this server by default.
+ * Pages can still select another profile for debugging.
+ *
+ */
+exports.getConfig = (req, res, next) => {
+  fs.promises.readFile(path.join(FRONT_DIR, 'config.json'), 'utf8').then(
+    (content) => {
+      res.status(200).json({ ...JSON.parse(content), profile: FRONT_PROFILE });
+    }
+  ).catch((error) => {
+    // front end is not deployed along this server
+    if (error.code === 'ENOENT') {
+      return next();
+    }
+    next(error);
+  });
+};
+
+exports.getHome = (req, res) => {
+  res.redirect('/html/index.html');
+};
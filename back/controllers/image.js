@@ -0,0 +1,50 @@
+const images = require('../services/images');
+const { ApiError } = require('../errors');
+
+/**
+ *
+ * Expects query to contain:
+ * width: number <-- one of the variant widths
+ *
+ * Responds with the image resized to this width, the original being
+ * served from /images.
+ *
+ */
+exports.getImageVariant = (req, res, next) => {
+  const width = Number(req.query.width);
+
+  if (!images.WIDTHS.includes(width)) {
+    return next(new ApiError(400, 'INVALID_QUERY', 'Invalid width: ' + req.query.width, { widths: images.WIDTHS }));
+  }
+  images.getVariant(req.params.fileName, width).then(
+    (file) => {
+      if (!file) {
+        return next(new ApiError(404, 'IMAGE_NOT_FOUND', 'Image not found!'));
+      }
+      res.sendFile(file, { maxAge: '1d' }, (error) => error && next(error));
+    }
+  ).catch(next);
+};
+
+/**
+ *
+ * Expects request body to be the image itself, with its type in the
+ * `Content-Type` header: image/jpeg, image/png or image/webp.
+ *
+ * Responds with the file name to set as product `imageUrl`.
+ *
+ */
+exports.uploadImage = (req, res, next) => {
+  const type = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+
+  images.store(req.body, type).then(
+    (image) => {
+      const baseUrl = images.baseUrlOf(req);
+      res.status(201).json({
+        ...image,
+        imageUrl: images.imageUrl(baseUrl, image.fileName),
+        srcset: images.srcset(baseUrl, image.fileName)
+      });
+    }
+  ).catch(next);
+};
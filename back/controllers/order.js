@@ -0,0 +1,164 @@
+const Order = require('../models/Order');
+const lifecycle = require('../services/orderLifecycle');
+const payments = require('../services/payments');
+const invoices = require('../services/invoices');
+const orderQuery = require('../services/orderQuery');
+const images = require('../services/images');
+const { ApiError } = require('../errors');
+
+const withImageUrls = (req, order) => {
+  return { ...order, products: images.withLineImageUrls(req, order.products) };
+};
+
+/**
+ * Order of the request, `null` when it doesn't exist or belongs to
+ * another account than the logged in one.
+ */
+const findAccessibleOrder = (req) => {
+  return Order.findById(req.params.orderId).then(
+    (order) => order && lifecycle.isAccessibleBy(order, req.userId) ? order : null
+  );
+};
+
+exports.getOneOrder = (req, res, next) => {
+  findAccessibleOrder(req).then(
+    (order) => {
+      if (!order) {
+        return next(new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found!'));
+      }
+      res.status(200).json(lifecycle.publicOrder(withImageUrls(req, order)));
+    }
+  ).catch(next);
+};
+
+/**
+ * Current status of an order, light enough to be polled.
+ */
+exports.getOrderStatus = (req, res, next) => {
+  findAccessibleOrder(req).then(
+    (order) => {
+      if (!order) {
+        return next(new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found!'));
+      }
+      res.status(200).json({
+        orderId: order.orderId,
+        status: lifecycle.statusOf(order),
+        invoiced: Boolean(order.invoice),
+        updatedAt: order.statusUpdatedAt || order.createdAt
+      });
+    }
+  ).catch(next);
+};
+
+/**
+ * Invoice of a paid order as a PDF, numbered when first requested.
+ * Responds with 409 while the order isn't paid, or when it was refunded
+ * before being invoiced.
+ */
+exports.getOrderInvoice = (req, res, next) => {
+  findAccessibleOrder(req).then(
+    (order) => order && invoices.issueInvoice(order.orderId)
+  ).then(
+    (order) => {
+      if (!order) {
+        return next(new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found!'));
+      }
+      return invoices.renderInvoice(order).then((pdf) => {
+        res.set('Content-Disposition', 'inline; filename="invoice-' + order.invoice.number + '.pdf"');
+        res.type('application/pdf').status(200).send(pdf);
+      });
+    }
+  ).catch(next);
+};
+
+/**
+ * Customers give up paying their pending order, its stock goes back.
+ * Responds with 409 once the order is paid or its payment is in progress.
+ */
+exports.cancelOrder = (req, res, next) => {
+  findAccessibleOrder(req).then(
+    (order) => order && payments.cancelOrder(order.orderId, { by: 'customer', author: req.userId })
+  ).then(
+    (order) => {
+      if (!order) {
+        return next(new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found!'));
+      }
+      res.status(200).json(lifecycle.publicOrder(withImageUrls(req, order)));
+    }
+  ).catch(next);
+};
+
+/**
+ *
+ * Supports query parameters:
+ * status: string <-- comma separated statuses, any of them matches
+ * email: string <-- part of contact email
+ * from, to: string <-- creation date range, ISO 8601
+ * page, limit: number <-- all orders are returned without limit
+ *
+ * Responds with orders newest first, audit trail included. Total count of
+ * matching orders is sent in `X-Total-Count` header.
+ *
+ */
+exports.getAllOrders = (req, res, next) => {
+  let criterias;
+  try {
+    criterias = orderQuery.parseQuery(req.query);
+  } catch (error) {
+    return next(error);
+  }
+  Order.find().then(
+    (orders) => {
+      const result = orderQuery.queryOrders(orders, criterias);
+      res.set('X-Total-Count', result.total);
+      res.set('X-Page', result.page);
+      if (result.limit) {
+        res.set('X-Limit', result.limit);
+      }
+      res.status(200).json(result.orders.map(order => ({
+        ...withImageUrls(req, order),
+        status: lifecycle.statusOf(order),
+        history: order.history || []
+      })));
+    }
+  ).catch(next);
+};
+
+/**
+ *
+ * Expects request to contain:
+ * status: string <-- status to move the order to
+ * author?: string <-- who makes the change, recorded in the audit trail
+ * note?: string <-- reason of the change
+ *
+ * Orders paid online are refunded through the payment provider, and
+ * cancelled orders can no longer be paid.
+ * Responds with 409 and the allowed statuses when the order can't go to
+ * the requested one.
+ *
+ */
+exports.transitionOrder = (req, res, next) => {
+  const { status, author, note } = req.body;
+
+  if (!lifecycle.STATUSES.includes(status)) {
+    return next(new ApiError(400, 'INVALID_STATUS', 'Invalid status: ' + status, { supported: lifecycle.STATUSES }));
+  }
+  if ((author !== undefined && typeof author !== 'string') || (note !== undefined && typeof note !== 'string')) {
+    return next(new ApiError(400, 'INVALID_STATUS', 'Author and note must be strings!'));
+  }
+  const change = { by: 'admin', author: author, note: note };
+
+  const transition = {
+    refunded: payments.refundOrder,
+    cancelled: payments.cancelOrder
+  }[status] || ((orderId, change) => lifecycle.transition(orderId, status, change));
+
+  transition(req.params.orderId, change).then(
+    (order) => {
+      if (!order) {
+        return next(new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found!'));
+      }
+      res.status(200).json(withImageUrls(req, order));
+    }
+  ).catch(next);
+};
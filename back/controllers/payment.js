@@ -0,0 +1,76 @@
+const Order = require('../models/Order');
+const payments = require('../services/payments');
+const lifecycle = require('../services/orderLifecycle');
+const { ApiError } = require('../errors');
+
+/**
+ *
+ * Expects request to contain:
+ * orderId: string <-- pending order to pay
+ *
+ * Responds with the payment to confirm, the one in progress if any.
+ * The amount is the order total, in its currency. Orders of an account
+ * are only paid by their owner.
+ *
+ */
+exports.createPayment = (req, res, next) => {
+  const { orderId } = req.body;
+
+  if (typeof orderId !== 'string' || !orderId) {
+    return next(new ApiError(400, 'INVALID_PAYMENT', 'Missing orderId!'));
+  }
+  Order.findById(orderId).then(
+    (order) => order && lifecycle.isAccessibleBy(order, req.userId) ? payments.createPayment(orderId) : null
+  ).then(
+    (payment) => {
+      if (!payment) {
+        return next(new ApiError(404, 'ORDER_NOT_FOUND', 'Order not found!'));
+      }
+      res.status(201).json(payments.publicPayment(payment));
+    }
+  ).catch(next);
+};
+
+/**
+ *
+ * Expects request to contain:
+ * card: {
+ *   number: string,
+ *   expiry: string, <-- MM/YY
+ *   cvc: string
+ * }
+ *
+ * Responds with 200 once paid, the order being paid too, or 202 when the
+ * outcome comes later, the order status telling it. Responds with 402 and
+ * the reason when declined, the payment can then be confirmed again.
+ *
+ */
+exports.confirmPayment = (req, res, next) => {
+  const { card } = req.body;
+
+  if (!card || typeof card !== 'object') {
+    return next(new ApiError(400, 'INVALID_PAYMENT', 'Missing card!'));
+  }
+  payments.confirmPayment(req.params.paymentId, { card: card }).then(
+    (payment) => {
+      if (!payment) {
+        return next(new ApiError(404, 'PAYMENT_NOT_FOUND', 'Payment not found!'));
+      }
+      res.status(payment.status === 'processing' ? 202 : 200).json(payments.publicPayment(payment));
+    }
+  ).catch(next);
+};
+
+/**
+ * Outcomes notified by the payment provider.
+ */
+exports.receiveWebhook = (req, res, next) => {
+  payments.handleWebhook(req.rawBody, req.headers).then(
+    (payment) => {
+      if (!payment) {
+        return next(new ApiError(404, 'PAYMENT_NOT_FOUND', 'Payment not found!'));
+      }
+      res.status(200).json({ received: true });
+    }
+  ).catch(next);
+};
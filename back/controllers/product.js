@@ -1,36 +1,235 @@
-const uuid = require('uuid/v1');
+const uuidv4 = require('uuid/v4');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
+const checkout = require('../services/checkout');
+const promotions = require('../services/promotions');
+const catalog = require('../services/catalog');
+const currency = require('../services/currency');
+const locale = require('../services/locale');
+const productSchema = require('../services/productSchema');
+const orderSchema = require('../services/orderSchema');
+const stock = require('../services/stock');
+const images = require('../services/images');
+const lifecycle = require('../services/orderLifecycle');
+const variants = require('../services/variants');
+const idempotency = require('../services/idempotency');
+const { ApiError } = require('../errors');
 
+/**
+ * Turn product and variants image file names into URLs, full size one and resized variants.
+ */
+const withImageUrls = (req, product) => {
+  const baseUrl = images.baseUrlOf(req);
+  [product, ...product.variants].forEach((item) => {
+    item.srcset = images.srcset(baseUrl, item.imageUrl);
+    item.imageUrl = images.imageUrl(baseUrl, item.imageUrl);
+  });
+  return product;
+};
+
+/**
+ * Product as sent to clients, in their language and currency.
+ */
+const publicProduct = (req, product) => {
+  return withImageUrls(req, currency.convertProduct(locale.localizeProduct(variants.withVariants(product), req.language), req.currency));
+};
+
+/**
+ *
+ * Supports query parameters:
+ * q: string <-- words to find in name or description
+ * color: string <-- comma separated colors, any of them matches
+ * minPrice, maxPrice: number <-- any variant price in range matches
+ * sort: price | -price | name | -name <-- by lowest variant price
+ * page, limit: number <-- all products are returned without limit
+ * currency: string <-- prices currency, filters and sort apply to converted prices
+ * lang: string <-- texts language, `Accept-Language` header is used without it
+ *
+ * Total count of matching products is sent in `X-Total-Count` header.
+ *
+ */
 exports.getAllProducts = (req, res, next) => {
+  let criterias;
+  try {
+    criterias = catalog.parseQuery(req.query);
+  } catch (error) {
+    return next(error);
+  }
   Product.find().then(
     (products) => {
-      const mappedProducts = products.map((product) => {
-        product.imageUrl = req.protocol + '://' + req.get('host') + '/images/' + product.imageUrl;
-        return product;
-      });
+      const localized = products.map(product => currency.convertProduct(locale.localizeProduct(variants.withVariants(product), req.language), req.currency));
+      const result = catalog.queryProducts(localized, criterias);
+      const mappedProducts = result.products.map(product => withImageUrls(req, product));
+      res.set('X-Total-Count', result.total);
+      res.set('X-Page', result.page);
+      if (result.limit) {
+        res.set('X-Limit', result.limit);
+      }
       res.status(200).json(mappedProducts);
     }
-  ).catch(
-    () => {
-      res.status(500).send(new Error('Database error!'));
-    }
-  );
+  ).catch(next);
 };
 
 exports.getOneProduct = (req, res, next) => {
   Product.findById(req.params.id).then(
     (product) => {
       if (!product) {
-        return res.status(404).send(new Error('Product not found!'));
+        return next(new ApiError(404, 'PRODUCT_NOT_FOUND', 'Product not found!'));
       }
-      product.imageUrl = req.protocol + '://' + req.get('host') + '/images/' + product.imageUrl;
-      res.status(200).json(product);
+      res.status(200).json(publicProduct(req, product));
     }
-  ).catch(
-    () => {
-      res.status(500).send(new Error('Database error!'));
+  ).catch(next);
+};
+
+/**
+ *
+ * Expects request to contain a whole product:
+ * {
+ *   name: string,
+ *   price: number,
+ *   imageUrl: string, <-- file name in images folder, or uploaded with POST /api/images
+ *   description: string,
+ *   altTxt: string,
+ *   variants: [{
+ *     sku: string, <-- distinct within the product
+ *     color: string,
+ *     price?: number, <-- product price otherwise
+ *     imageUrl?: string, <-- product image otherwise
+ *     stock?: number <-- stock is not tracked without it
+ *   }],
+ *   translations: { [lang]: { name?, description?, altTxt? } } <-- optional
+ * }
+ *
+ */
+exports.createProduct = (req, res, next) => {
+  const errors = productSchema.validateProduct(req.body);
+  if (errors.length) {
+    return next(new ApiError(400, 'INVALID_PRODUCT', 'Invalid product!', errors));
+  }
+  Product.create({
+    ...productSchema.pickProduct(req.body),
+    _id: uuidv4().replace(/-/g, '')
+  }).then(
+    (product) => {
+      res.status(201).json(publicProduct(req, product));
+    }
+  ).catch(next);
+};
+
+/**
+ * Expects request to contain a whole product (PUT) or some of its fields (PATCH).
+ */
+const saveProduct = (partial) => (req, res, next) => {
+  const errors = productSchema.validateProduct(req.body, { partial: partial });
+  if (errors.length) {
+    return next(new ApiError(400, 'INVALID_PRODUCT', 'Invalid product!', errors));
+  }
+  const data = productSchema.pickProduct(req.body);
+  (partial ? Product.update(req.params.id, data) : Product.replace(req.params.id, data)).then(
+    (product) => {
+      if (!product) {
+        return next(new ApiError(404, 'PRODUCT_NOT_FOUND', 'Product not found!'));
+      }
+      res.status(200).json(publicProduct(req, product));
+    }
+  ).catch(next);
+};
+
+exports.replaceProduct = saveProduct(false);
+exports.updateProduct = saveProduct(true);
+
+exports.deleteProduct = (req, res, next) => {
+  Product.remove(req.params.id).then(
+    (product) => {
+      if (!product) {
+        return next(new ApiError(404, 'PRODUCT_NOT_FOUND', 'Product not found!'));
+      }
+      res.status(204).end();
     }
-  )
+  ).catch(next);
+};
+
+/**
+ * Store an order, taking its quantities out of stock and its promo code use.
+ *
+ * @returns {Promise<object>} Created order
+ */
+const placeOrder = (req) => {
+  // undo steps already done when a later one fails
+  const rollback = [];
+
+  return orderSchema.validateOrder(req.body).then(
+    (errors) => {
+      if (errors.length) {
+        throw new ApiError(400, 'INVALID_ORDER', 'Invalid order!', errors);
+      }
+      return checkout.quote(req.body, { currency: req.currency, language: req.language });
+    }
+  ).then(
+    (quote) => stock.reserve(quote.products).then(() => {
+      rollback.push(() => stock.release(quote.products));
+      return quote;
+    })
+  ).then(
+    (quote) => {
+      if (!quote.promotion) {
+        return quote;
+      }
+      return promotions.redeem(quote.promotion.code).then(() => {
+        rollback.push(() => promotions.release(quote.promotion.code));
+        return quote;
+      });
+    }
+  ).then(
+    (quote) => {
+      return Order.create({
+        // random, so order ids can't be guessed from another one
+        orderId: uuidv4(),
+        userId: req.userId || null,
+        contact: orderSchema.pickContact(req.body.contact),
+        products: quote.products,
+        currency: quote.currency,
+        exchangeRate: quote.exchangeRate,
+        lang: req.language,
+        totalQuantity: quote.totalQuantity,
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        promotion: quote.promotion,
+        shipping: quote.shipping,
+        tax: quote.tax,
+        total: quote.total,
+        ...lifecycle.initialStatus({ by: 'customer', author: req.userId }),
+        createdAt: new Date().toISOString()
+      });
+    }
+  ).catch(
+    (error) => Promise.all(rollback.map(undo => undo())).then(() => { throw error; })
+  );
+};
+
+/**
+ * Place the order once per `Idempotency-Key` header, orders without it are
+ * always placed.
+ *
+ * @returns {Promise<{ order: object, replayed: boolean }>}
+ */
+const placeOrderOnce = (req) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return placeOrder(req).then(order => ({ order: order, replayed: false }));
+  }
+  try {
+    idempotency.validateKey(key);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  // the same body may be priced otherwise for another currency, language or user
+  const payload = { body: req.body, currency: req.currency, language: req.language, userId: req.userId || null };
+
+  return idempotency.once(key, payload, () => placeOrder(req).then(order => order.orderId)).then(
+    ({ resourceId, replayed }) => Order.findById(resourceId).then(order => ({ order: order, replayed: replayed }))
+  );
 };
 
 /**
@@ -43,50 +242,39 @@ exports.getOneProduct = (req, res, next) => {
  *   city: string,
  *   email: string
  * }
- * products: [string] <-- array of product _id
+ * products: [{
+ *   productId: string, <-- product _id
+ *   sku: string, <-- one of product variants
+ *   quantity: number <-- positive integer
+ * }]
+ * shipping: {
+ *   country: string, <-- one of the delivered countries
+ *   postalCode: string,
+ *   method: string <-- shipping method id, see GET /api/shipping/quote
+ * }
+ * promoCode?: string <-- discount applied to the total, counts one use of the code
+ * currency?: string <-- currency the order is charged in, catalog one by default
+ * lang?: string <-- language of product names, kept to write to the customer
+ *
+ * Orders sent with a session token are linked to the logged in user.
+ * Amounts include VAT of the shipping country, detailed by `tax` and each
+ * line `subtotalExclTax` and `tax`.
+ * Responds with 400 listing each invalid field, e.g. `contact.email` or
+ * `products[0].sku`.
+ * Ordered quantities are taken out of stock, responds with 409 and the
+ * shortages when there isn't enough.
+ * Orders are placed pending, they are confirmed to the contact once paid
+ * with POST /api/payments.
+ * Sent with an `Idempotency-Key` header, repeating the request answers the
+ * order placed the first time with `Idempotent-Replayed: true`, and 409
+ * when the key was used for another order.
  *
  */
 exports.orderProducts = (req, res, next) => {
-  if (!req.body.contact ||
-      !req.body.contact.firstName ||
-      !req.body.contact.lastName ||
-      !req.body.contact.address ||
-      !req.body.contact.city ||
-      !req.body.contact.email ||
-      !req.body.products) {
-    return res.status(400).send(new Error('Bad request!'));
-  }
-  let queries = [];
-  for (let productId of req.body.products) {
-    const queryPromise = new Promise((resolve, reject) => {
-      Product.findById(productId).then(
-        (product) => {
-          if (!product) {
-            reject('Product not found: ' + productId);
-          }
-          product.imageUrl = req.protocol + '://' + req.get('host') + '/images/' + product.imageUrl;
-          resolve(product);
-        }
-      ).catch(
-        () => {
-          reject('Database error!');
-        }
-      )
-    });
-    queries.push(queryPromise);
-  }
-  Promise.all(queries).then(
-    (products) => {
-      const orderId = uuid();
-      return res.status(201).json({
-        contact: req.body.contact,
-        products: products,
-        orderId: orderId
-      })
-    }
-  ).catch(
-    (error) => {
-      return res.status(500).json(new Error(error));
+  placeOrderOnce(req).then(
+    ({ order, replayed }) => {
+      res.set('Idempotent-Replayed', String(replayed));
+      return res.status(201).json(lifecycle.publicOrder({ ...order, products: images.withLineImageUrls(req, order.products) }));
     }
-  );
+  ).catch(next);
 };
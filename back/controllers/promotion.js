@@ -0,0 +1,32 @@
+const checkout = require('../services/checkout');
+const orderSchema = require('../services/orderSchema');
+const images = require('../services/images');
+const { ApiError } = require('../errors');
+
+/**
+ *
+ * Expects request to contain:
+ * code: string
+ * products: [{
+ *   productId: string,
+ *   sku: string,
+ *   quantity: number
+ * }]
+ *
+ * Responds with the cart quote discounted by the code, or 400 with
+ * `INVALID_PROMO_CODE` and the reason it doesn't apply
+ * (unknown, not_started, expired, usage_limit_reached, minimum_not_reached,
+ * not_applicable).
+ *
+ */
+exports.validatePromotion = (req, res, next) => {
+  const errors = orderSchema.validatePromoCode(req.body.code);
+  if (req.body.code === undefined || req.body.code === null || errors.length) {
+    return next(new ApiError(400, 'INVALID_PROMO_CODE', 'Invalid promo code!', { reason: 'invalid' }));
+  }
+  checkout.quote({ products: req.body.products, promoCode: req.body.code }, { currency: req.currency, language: req.language }).then(
+    (quote) => {
+      res.status(200).json({ ...quote, products: images.withLineImageUrls(req, quote.products) });
+    }
+  ).catch(next);
+};
@@ -0,0 +1,52 @@
+const shipping = require('../services/shipping');
+const currency = require('../services/currency');
+const { ApiError } = require('../errors');
+
+const parseAmount = (value, name, isValid) => {
+  if (value === undefined || value === '') {
+    return 0;
+  }
+  const number = Number(value);
+  if (!isValid(number)) {
+    throw new ApiError(400, 'INVALID_QUERY', 'Invalid ' + name + ': ' + value);
+  }
+  return number;
+};
+
+/**
+ *
+ * Expects query to contain:
+ * country: string <-- e.g. FR
+ * postalCode: string
+ * totalQuantity?: number <-- number of items in cart
+ * amount?: number <-- cart total, discount included
+ * currency?: string <-- currency of amount and costs
+ *
+ * Responds with the methods delivering the destination and their cost.
+ *
+ */
+exports.quoteShipping = (req, res, next) => {
+  const { country, postalCode } = req.query;
+  let basket;
+
+  try {
+    if (!shipping.isValidPostalCode(country, postalCode)) {
+      throw new ApiError(400, 'INVALID_QUERY', 'Invalid destination: ' + country + ' ' + postalCode);
+    }
+    basket = {
+      totalQuantity: parseAmount(req.query.totalQuantity, 'totalQuantity', number => Number.isInteger(number) && number >= 0),
+      amount: currency.toBase(parseAmount(req.query.amount, 'amount', number => number >= 0), req.currency)
+    };
+  } catch (error) {
+    return next(error);
+  }
+
+  shipping.listMethods({ country, postalCode }, basket).then(
+    (methods) => res.status(200).json({
+      currency: req.currency,
+      country: country,
+      postalCode: postalCode,
+      methods: methods.map(method => ({ ...method, cost: currency.convert(method.cost, req.currency) }))
+    })
+  ).catch(next);
+};
@@ -0,0 +1,31 @@
+/**
+ * Error sent to API clients as `{ error: { code, message, details } }`.
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status HTTP status
+   * @param {string} code Stable identifier clients can rely on
+   * @param {string} message Human readable description
+   * @param {any} details Extra data, e.g. the fields failing validation
+   */
+  constructor (status, code, message, details = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON () {
+    return {
+      error: {
+        code: this.code,
+        message: this.message,
+        details: this.details
+      }
+    };
+  }
+}
+
+module.exports = {
+  ApiError
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { ApiError } = require('../errors');
+const session = require('../services/session');
+
+/**
+ * Compare secrets in constant time.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * Only let requests authenticated with `Authorization: Bearer <ADMIN_TOKEN>`
+ * through. Administration is disabled when `ADMIN_TOKEN` is not configured.
+ */
+exports.requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (!adminToken) {
+    return next(new ApiError(403, 'ADMIN_DISABLED', 'Administration is disabled!'));
+  }
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, adminToken)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return next(new ApiError(401, 'UNAUTHORIZED', 'Unauthorized!'));
+  }
+  next();
+};
+
+/**
+ * Set `req.userId` when request carries a valid session token,
+ * anonymous requests go through untouched.
+ */
+exports.identifyUser = (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme === 'Bearer' && token) {
+    req.userId = session.verifyToken(token) || undefined;
+  }
+  next();
+};
+
+/**
+ * Only let requests with a valid session token through.
+ */
+exports.requireUser = (req, res, next) => {
+  exports.identifyUser(req, res, () => {
+    if (!req.userId) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return next(new ApiError(401, 'UNAUTHORIZED', 'Unauthorized!'));
+    }
+    next();
+  });
+};
@@ -0,0 +1,14 @@
+const currency = require('../services/currency');
+
+/**
+ * Read the currency amounts are answered in from the `currency` query or
+ * body parameter into `req.currency`, catalog currency by default.
+ */
+exports.resolveCurrency = (req, res, next) => {
+  try {
+    req.currency = currency.parseCurrency(req.query.currency || (req.body && req.body.currency));
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
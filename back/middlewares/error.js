@@ -0,0 +1,36 @@
+const { ApiError } = require('../errors');
+
+/**
+ * Turn anything thrown by a route into an `ApiError`. Unexpected errors
+ * are logged and hidden from clients.
+ *
+ * @param {any} error
+ * @returns {ApiError}
+ */
+const toApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  // body-parser errors, e.g. malformed JSON
+  if (error && error.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON!');
+  }
+  if (error && error.type === 'entity.too.large') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large!');
+  }
+  console.error(error);
+  return new ApiError(500, 'INTERNAL_ERROR', 'Internal server error!');
+};
+
+exports.notFoundHandler = (req, res, next) => {
+  next(new ApiError(404, 'ROUTE_NOT_FOUND', 'Cannot ' + req.method + ' ' + req.originalUrl.split('?')[0]));
+};
+
+exports.errorHandler = (error, req, res, next) => {
+  const apiError = toApiError(error);
+
+  if (res.headersSent) {
+    return next(error);
+  }
+  res.status(apiError.status).json(apiError);
+};
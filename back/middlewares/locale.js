@@ -0,0 +1,15 @@
+const locale = require('../services/locale');
+
+/**
+ * Read the language texts are answered in from the `lang` query or body
+ * parameter, or the `Accept-Language` header, into `req.language`.
+ */
+exports.resolveLanguage = (req, res, next) => {
+  res.vary('Accept-Language');
+  try {
+    req.language = locale.parseLanguage(req.query.lang || (req.body && req.body.lang), languages => req.acceptsLanguages(languages));
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
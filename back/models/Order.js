@@ -0,0 +1,3 @@
+const createRepository = require('../storage');
+
+module.exports = createRepository('orders', { idKey: 'orderId' });
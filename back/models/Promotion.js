@@ -0,0 +1,4 @@
+const createRepository = require('../storage');
+const promotions = require('../seeds/promotions');
+
+module.exports = createRepository('promotions', { idKey: 'code', seed: promotions });
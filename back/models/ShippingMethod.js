@@ -0,0 +1,4 @@
+const createRepository = require('../storage');
+const shippingMethods = require('../seeds/shippingMethods');
+
+module.exports = createRepository('shippingMethods', { idKey: 'id', seed: shippingMethods });
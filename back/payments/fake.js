@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const uuidv4 = require('uuid/v4');
+const FakePaymentIntent = require('../models/FakePaymentIntent');
+
+/** Secret signing notifications, a random one only lasts until restart. */
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+/** Delay before notifying the outcome of a processing payment, in milliseconds. */
+const DELAY = parseInt(process.env.PAYMENT_FAKE_DELAY, 10) || 5000;
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+/**
+ * Test card numbers and their outcome, `later` being notified through the
+ * webhook. Any other valid card is declined.
+ */
+const TEST_CARDS = {
+  '4242424242424242': { status: 'succeeded' },
+  '4000000000000002': { status: 'declined', reason: 'card_declined' },
+  '4000000000009995': { status: 'declined', reason: 'insufficient_funds' },
+  '4000000000003220': { status: 'processing', later: 'succeeded' },
+  '4000000000000341': { status: 'processing', later: 'declined' }
+};
+
+const sign = (body) => {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+};
+
+/**
+ * Luhn checksum of a card number.
+ *
+ * @param {string} number Digits only
+ * @returns {boolean}
+ */
+const isValidNumber = (number) => {
+  if (!/^\d{12,19}$/.test(number)) {
+    return false;
+  }
+  const sum = number.split('').reverse().reduce((acc, digit, index) => {
+    let value = Number(digit);
+    if (index % 2 === 1) {
+      value = value * 2 > 9 ? value * 2 - 9 : value * 2;
+    }
+    return acc + value;
+  }, 0);
+  return sum % 10 === 0;
+};
+
+/**
+ * Whether a `MM/YY` expiry date isn't past.
+ *
+ * @param {string} expiry
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isValidExpiry = (expiry, now = new Date()) => {
+  const match = /^(\d{2})\s*\/\s*(\d{2})$/.exec(expiry);
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > 12) {
+    return false;
+  }
+  // cards expire at the end of their month
+  return new Date(Date.UTC(2000 + Number(match[2]), Number(match[1]), 1)) > now;
+};
+
+/**
+ * Outcome of a card payment.
+ *
+ * @param {{ number?: string, expiry?: string, cvc?: string }} card
+ * @returns {{ status: string, reason?: string, later?: string }}
+ */
+const charge = (card) => {
+  const number = String(card.number || '').replace(/[\s-]/g, '');
+
+  if (!isValidNumber(number)) {
+    return { status: 'declined', reason: 'invalid_number' };
+  }
+  if (!isValidExpiry(String(card.expiry || ''))) {
+    return { status: 'declined', reason: 'expired_card' };
+  }
+  if (!/^\d{3,4}$/.test(String(card.cvc || ''))) {
+    return { status: 'declined', reason: 'invalid_cvc' };
+  }
+  return TEST_CARDS[number] || { status: 'declined', reason: 'card_declined' };
+};
+
+/**
+ * Intent of a reference, rejects with an `intent_not_found` error when the
+ * provider doesn't know it.
+ *
+ * @param {string} reference
+ * @returns {Promise<object>}
+ */
+const findIntent = (reference) => {
+  return FakePaymentIntent.findById(reference).then((intent) => {
+    if (!intent) {
+      const error = new Error('Unknown payment intent: ' + reference);
+      error.code = 'intent_not_found';
+      throw error;
+    }
+    return intent;
+  });
+};
+
+/**
+ * Post the outcome of an intent to its webhook, as a real provider would.
+ * Failures are logged, never thrown.
+ */
+const notify = (intent) => {
+  const { reference } = intent;
+  const body = JSON.stringify({ reference: reference, status: intent.status });
+
+  return new Promise((resolve, reject) => {
+    const url = new URL(intent.webhookUrl);
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), [SIGNATURE_HEADER]: sign(body) }
+    }, (response) => {
+      response.resume();
+      if (response.statusCode >= 300) {
+        return reject(new Error('Webhook answered ' + response.statusCode));
+      }
+      response.on('end', resolve);
+    });
+    request.on('error', reject);
+    request.end(body);
+  }).catch(error => console.error('Fake payment notification of ' + reference + ' failed:', error));
+};
+
+/**
+ * Settle a processing intent once its delay is over, then notify it.
+ *
+ * @param {{ reference: string, notifyAt: number }} intent
+ */
+const scheduleOutcome = (intent) => {
+  setTimeout(() => {
+    FakePaymentIntent.update(intent.reference, current => current.status === 'processing' ? { status: current.later } : {}).then(
+      (settled) => settled && settled.status === intent.later && notify(settled)
+    ).catch(error => console.error('Fake payment ' + intent.reference + ' not settled:', error));
+  }, Math.max(0, intent.notifyAt - Date.now())).unref();
+};
+
+// outcomes awaited before a restart are still notified
+FakePaymentIntent.find().then(
+  (intents) => intents.filter(intent => intent.status === 'processing').forEach(scheduleOutcome)
+).catch(error => console.error('Fake payments not resumed:', error));
+
+const createIntent = ({ amount, currency, webhookUrl }) => {
+  const reference = 'fake_pi_' + uuidv4().replace(/-/g, '');
+  return FakePaymentIntent.create({ reference, amount, currency, webhookUrl, status: 'requires_payment_method' }).then(
+    () => reference
+  );
+};
+
+const confirmIntent = (reference, method) => {
+  return findIntent(reference).then((intent) => {
+    const outcome = charge((method && method.card) || {});
+    const result = { status: outcome.status, reason: outcome.reason || null };
+
+    if (outcome.status === 'processing') {
+      return FakePaymentIntent.update(reference, { status: 'processing', later: outcome.later, notifyAt: Date.now() + DELAY }).then(
+        (updated) => {
+          scheduleOutcome(updated);
+          return result;
+        }
+      );
+    }
+    if (outcome.status === 'succeeded') {
+      return FakePaymentIntent.update(reference, { status: 'succeeded' }).then(() => result);
+    }
+    return result;
+  });
+};
+
+const refund = (reference, amount) => {
+  return findIntent(reference).then((intent) => {
+    if (intent.status !== 'succeeded') {
+      throw new Error('Payment intent can\'t be refunded: ' + reference);
+    }
+    if (amount > intent.amount) {
+      throw new Error('Refund exceeds payment: ' + amount + ' > ' + intent.amount);
+    }
+    return FakePaymentIntent.update(reference, { status: 'refunded' }).then(
+      () => 'fake_re_' + uuidv4().replace(/-/g, '')
+    );
+  });
+};
+
+const parseWebhook = (rawBody, headers) => {
+  const signature = String(headers[SIGNATURE_HEADER] || '');
+  const expected = sign(rawBody || '');
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  const { reference, status } = JSON.parse(rawBody);
+  return { reference, status };
+};
+
+module.exports = {
+  TEST_CARDS,
+  createIntent,
+  confirmIntent,
+  refund,
+  parseWebhook
+};
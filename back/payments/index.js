@@ -0,0 +1,34 @@
+/**
+ * Payment providers, all exposing the same promise-based interface:
+ *
+ * - `createIntent({ amount, currency, webhookUrl })`: register an amount
+ *   to collect, resolves with the provider `reference` of the intent
+ * - `confirmIntent(reference, method)`: charge the payment method, resolves
+ *   with `{ status, reason }`, `status` being `succeeded`, `declined` or
+ *   `processing` when the outcome is notified later to `webhookUrl`
+ * - `refund(reference, amount)`: give the amount back, resolves with the
+ *   provider `reference` of the refund
+ * - `parseWebhook(rawBody, headers)`: authenticate a notification, returns
+ *   `{ reference, status }` or `null` when it isn't genuine
+ *
+ * Intents the provider doesn't know anymore, e.g. expired, reject with an
+ * error whose `code` is `intent_not_found`.
+ *
+ * The provider is selected with the `PAYMENT_PROVIDER` environment
+ * variable: `fake` (default), which simulates payments locally.
+ */
+
+const PROVIDERS = {
+  fake: () => require('./fake')
+};
+
+const providerName = process.env.PAYMENT_PROVIDER || 'fake';
+
+if (!PROVIDERS[providerName]) {
+  throw new Error('Unknown payment provider: ' + providerName);
+}
+
+module.exports = {
+  name: providerName,
+  ...PROVIDERS[providerName]()
+};
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+
+const accountCtrl = require('../controllers/account');
+
+router.post('/register', accountCtrl.register);
+router.post('/login', accountCtrl.login);
+
+module.exports = router;
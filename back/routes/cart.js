@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+
+const cartCtrl = require('../controllers/cart');
+
+router.post('/quote', cartCtrl.quoteCart);
+
+module.exports = router;
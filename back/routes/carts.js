@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+
+const cartCtrl = require('../controllers/cart');
+
+router.post('/', cartCtrl.createCart);
+router.get('/:cartId', cartCtrl.getCart);
+router.put('/:cartId', cartCtrl.replaceCart);
+router.post('/:cartId/lines', cartCtrl.addLine);
+router.put('/:cartId/lines/:productId/:sku', cartCtrl.updateLine);
+router.delete('/:cartId/lines/:productId/:sku', cartCtrl.removeLine);
+router.delete('/:cartId/lines', cartCtrl.clearCart);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const fs = require('fs');
+const express = require('express');
+const router = express.Router();
+
+const frontCtrl = require('../controllers/front');
+
+// the API is deployed alone, e.g. in its Docker image, storefront is served elsewhere then
+if (fs.existsSync(frontCtrl.FRONT_DIR)) {
+  router.get('/', frontCtrl.getHome);
+  router.get('/config.json', frontCtrl.getConfig);
+  router.use(express.static(frontCtrl.FRONT_DIR));
+}
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middlewares/auth');
+const images = require('../services/images');
+const imageCtrl = require('../controllers/image');
+
+router.get('/:fileName', imageCtrl.getImageVariant);
+router.post('/', auth.requireAdmin, express.raw({ type: () => true, limit: images.MAX_SIZE }), imageCtrl.uploadImage);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middlewares/auth');
+const accountCtrl = require('../controllers/account');
+
+router.use(auth.requireUser);
+
+router.get('/', accountCtrl.getMe);
+router.get('/orders', accountCtrl.getMyOrders);
+
+module.exports = router;
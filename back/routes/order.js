@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middlewares/auth');
+const orderCtrl = require('../controllers/order');
+
+router.get('/', auth.requireAdmin, orderCtrl.getAllOrders);
+router.get('/:orderId', auth.identifyUser, orderCtrl.getOneOrder);
+router.get('/:orderId/status', auth.identifyUser, orderCtrl.getOrderStatus);
+router.get('/:orderId/invoice.pdf', auth.identifyUser, orderCtrl.getOrderInvoice);
+router.post('/:orderId/cancel', auth.identifyUser, orderCtrl.cancelOrder);
+router.post('/:orderId/transitions', auth.requireAdmin, orderCtrl.transitionOrder);
+
+module.exports = router;
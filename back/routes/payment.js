@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../middlewares/auth');
+const paymentCtrl = require('../controllers/payment');
+
+router.post('/', auth.identifyUser, paymentCtrl.createPayment);
+router.post('/webhook', paymentCtrl.receiveWebhook);
+router.post('/:paymentId/confirm', paymentCtrl.confirmPayment);
+
+module.exports = router;
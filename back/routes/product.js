@@ -1,10 +1,16 @@
 const express = require('express');
 const router = express.Router();
 
+const auth = require('../middlewares/auth');
 const productCtrl = require('../controllers/product');
 
 router.get('/', productCtrl.getAllProducts);
 router.get('/:id', productCtrl.getOneProduct);
-router.post('/order', productCtrl.orderProducts);
+router.post('/order', auth.identifyUser, productCtrl.orderProducts);
+
+router.post('/', auth.requireAdmin, productCtrl.createProduct);
+router.put('/:id', auth.requireAdmin, productCtrl.replaceProduct);
+router.patch('/:id', auth.requireAdmin, productCtrl.updateProduct);
+router.delete('/:id', auth.requireAdmin, productCtrl.deleteProduct);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+
+const promotionCtrl = require('../controllers/promotion');
+
+router.post('/validate', promotionCtrl.validatePromotion);
+
+module.exports = router;
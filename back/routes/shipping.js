@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+
+const shippingCtrl = require('../controllers/shipping');
+
+router.get('/quote', shippingCtrl.quoteShipping);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * Load the initial Kanap catalog, promo codes and shipping methods into the
+ * configured storage, replacing every existing one.
+ *
+ * Usage: STORAGE_DRIVER=sqlite npm run seed
+ */
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const ShippingMethod = require('../models/ShippingMethod');
+const products = require('../seeds/products');
+const promotions = require('../seeds/promotions');
+const shippingMethods = require('../seeds/shippingMethods');
+
+Promise.all([
+  Product.reset(products),
+  Promotion.reset(promotions),
+  ShippingMethod.reset(shippingMethods)
+]).then(
+  ([seededProducts, seededPromotions, seededMethods]) => {
+    console.log('Seeded ' + seededProducts.length + ' products, ' + seededPromotions.length + ' promo codes and ' + seededMethods.length + ' shipping methods using ' + (process.env.STORAGE_DRIVER || 'json') + ' storage.');
+  }
+).catch(
+  (error) => {
+    console.error(error);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,133 @@
+/**
+ * Initial Kanap catalog, written in French.
+ * variants: one per color, `price` and `imageUrl` override the product ones
+ * and `stock` isn't tracked when omitted
+ * translations: fields in other languages, missing ones fall back to French
+ */
+module.exports = [
+  {
+    "variants": [
+      { "sku": "KANAP-SINOPE-BLUE", "color": "Blue", "stock": 12 },
+      { "sku": "KANAP-SINOPE-WHITE", "color": "White", "stock": 8 },
+      { "sku": "KANAP-SINOPE-BLACK", "color": "Black", "stock": 0 }
+    ],
+    "_id": "107fb5b75607497b96722bda5b504926",
+    "name": "Kanap Sinopé",
+    "price": 1849,
+    "imageUrl": "kanap01.jpeg",
+    "description": "Excepteur sint occaecat cupidatat non proident, sunt in culpa qui officia deserunt mollit anim id est laborum.",
+    "altTxt": "Photo d'un canapé bleu, deux places",
+    "translations": {
+      "en": { "altTxt": "Photo of a blue two-seater sofa" }
+    }
+  },
+  {
+    "variants": [
+      { "sku": "KANAP-CYLLENE-BLACK-YELLOW", "color": "Black/Yellow", "stock": 5 },
+      { "sku": "KANAP-CYLLENE-BLACK-RED", "color": "Black/Red", "stock": 3 }
+    ],
+    "_id": "415b7cacb65d43b2b5c1ff70f3393ad1",
+    "name": "Kanap Cyllène",
+    "price": 4499,
+    "imageUrl": "kanap02.jpeg",
+    "description": "Morbi nec erat aliquam, sagittis urna non, laoreet justo. Etiam sit amet interdum diam, at accumsan lectus.",
+    "altTxt": "Photo d'un canapé jaune et noir, quattre places",
+    "translations": {
+      "en": { "altTxt": "Photo of a yellow and black four-seater sofa" }
+    }
+  },
+  {
+    "variants": [
+      { "sku": "KANAP-CALYCE-GREEN", "color": "Green", "stock": 10 },
+      { "sku": "KANAP-CALYCE-RED", "color": "Red", "stock": 4 },
+      { "sku": "KANAP-CALYCE-ORANGE", "color": "Orange", "stock": 7 }
+    ],
+    "_id": "055743915a544fde83cfdfc904935ee7",
+    "name": "Kanap Calycé",
+    "price": 3199,
+    "imageUrl": "kanap03.jpeg",
+    "description": "Pellentesque fermentum arcu venenatis ex sagittis accumsan. Vivamus lacinia fermentum tortor.Mauris imperdiet tellus ante.",
+    "altTxt": "Photo d'un canapé d'angle, vert, trois places",
+    "translations": {
+      "en": { "altTxt": "Photo of a green three-seater corner sofa" }
+    }
+  },
+  {
+    "variants": [
+      { "sku": "KANAP-AUTONOE-PINK", "color": "Pink", "stock": 15 },
+      { "sku": "KANAP-AUTONOE-WHITE", "color": "White", "stock": 0 }
+    ],
+    "_id": "a557292fe5814ea2b15c6ef4bd73ed83",
+    "name": "Kanap Autonoé",
+    "price": 1499,
+    "imageUrl": "kanap04.jpeg",
+    "description": "Donec mattis nisl tortor, nec blandit sapien fermentum at. Proin hendrerit efficitur fringilla. Lorem ipsum dolor sit amet.",
+    "altTxt": "Photo d'un canapé rose, une à deux place",
+    "translations": {
+      "en": { "altTxt": "Photo of a pink one to two-seater sofa" }
+    }
+  },
+  {
+    "variants": [
+      { "sku": "KANAP-EURYDOME-GREY", "color": "Grey", "stock": 6 },
+      { "sku": "KANAP-EURYDOME-PURPLE", "color": "Purple", "stock": 2 },
+      { "sku": "KANAP-EURYDOME-BLUE", "color": "Blue", "stock": 9 }
+    ],
+    "_id": "8906dfda133f4c20a9d0e34f18adcf06",
+    "name": "Kanap Eurydomé",
+    "price": 2249,
+    "imageUrl": "kanap05.jpeg",
+    "description": "Ut laoreet vulputate neque in commodo. Suspendisse maximus quis erat in sagittis. Donec hendrerit purus at congue aliquam.",
+    "altTxt": "Photo d'un canapé gris, trois places",
+    "translations": {
+      "en": { "altTxt": "Photo of a grey three-seater sofa" }
+    }
+  },
+  {
+    "variants": [
+      { "sku": "KANAP-HELICE-GREY", "color": "Grey", "stock": 20 },
+      { "sku": "KANAP-HELICE-NAVY", "color": "Navy", "stock": 11 }
+    ],
+    "_id": "77711f0e466b4ddf953f677d30b0efc9",
+    "name": "Kanap Hélicé",
+    "price": 999,
+    "imageUrl": "kanap06.jpeg",
+    "description": "Curabitur vel augue sit amet arcu aliquet interdum. Integer vel quam mi. Morbi nec vehicula mi, sit amet vestibulum.",
+    "altTxt": "Photo d'un canapé gris, deux places",
+    "translations": {
+      "en": { "altTxt": "Photo of a grey two-seater sofa" }
+    }
+  },
+  {
+    "variants": [
+      { "sku": "KANAP-THYONE-RED", "color": "Red", "stock": 0 },
+      { "sku": "KANAP-THYONE-SILVER", "color": "Silver", "stock": 4 }
+    ],
+    "_id": "034707184e8e4eefb46400b5a3774b5f",
+    "name": "Kanap Thyoné",
+    "price": 1999,
+    "imageUrl": "kanap07.jpeg",
+    "description": "EMauris imperdiet tellus ante, sit amet pretium turpis molestie eu. Vestibulum et egestas eros. Vestibulum non lacus orci.",
+    "altTxt": "Photo d'un canapé rouge, deux places",
+    "translations": {
+      "en": { "altTxt": "Photo of a red two-seater sofa" }
+    }
+  },
+  {
+    "variants": [
+      { "sku": "KANAP-ORTHOSIE-PINK", "color": "Pink", "stock": 3 },
+      { "sku": "KANAP-ORTHOSIE-BROWN", "color": "Brown", "stock": 8 },
+      { "sku": "KANAP-ORTHOSIE-YELLOW", "color": "Yellow", "stock": 5 },
+      { "sku": "KANAP-ORTHOSIE-WHITE", "color": "White", "stock": 6 }
+    ],
+    "_id": "a6ec5b49bd164d7fbe10f37b6363f9fb",
+    "name": "Kanap orthosie",
+    "price": 3999,
+    "imageUrl": "kanap08.jpeg",
+    "description": "Mauris molestie laoreet finibus. Aenean scelerisque convallis lacus at dapibus. Morbi imperdiet enim metus rhoncus.",
+    "altTxt": "Photo d'un canapé rose, trois places",
+    "translations": {
+      "en": { "altTxt": "Photo of a pink three-seater sofa" }
+    }
+  }
+];
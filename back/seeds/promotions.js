@@ -0,0 +1,59 @@
+/**
+ * Initial promo codes.
+ *
+ * type: 'percentage' (value in %) | 'fixed' (value in currency units)
+ * minBasket: subtotal required before discount
+ * scope: restrict discount to some `productIds` and/or `colors`
+ * startsAt, expiresAt: ISO dates
+ * maxUses: total number of orders allowed to use the code
+ */
+module.exports = [
+  {
+    "code": "BIENVENUE10",
+    "description": "10 % de réduction sur votre commande",
+    "type": "percentage",
+    "value": 10,
+    "minBasket": null,
+    "scope": null,
+    "startsAt": null,
+    "expiresAt": null,
+    "maxUses": null,
+    "uses": 0
+  },
+  {
+    "code": "KANAP100",
+    "description": "100 € offerts dès 2000 € d'achat",
+    "type": "fixed",
+    "value": 100,
+    "minBasket": 2000,
+    "scope": null,
+    "startsAt": null,
+    "expiresAt": null,
+    "maxUses": null,
+    "uses": 0
+  },
+  {
+    "code": "ROSE20",
+    "description": "20 % de réduction sur les canapés roses",
+    "type": "percentage",
+    "value": 20,
+    "minBasket": null,
+    "scope": { "colors": ["Pink"] },
+    "startsAt": null,
+    "expiresAt": "2027-12-31T23:59:59.000Z",
+    "maxUses": 500,
+    "uses": 0
+  },
+  {
+    "code": "SINOPE15",
+    "description": "15 % de réduction sur le Kanap Sinopé",
+    "type": "percentage",
+    "value": 15,
+    "minBasket": null,
+    "scope": { "productIds": ["107fb5b75607497b96722bda5b504926"] },
+    "startsAt": null,
+    "expiresAt": null,
+    "maxUses": 100,
+    "uses": 0
+  }
+];
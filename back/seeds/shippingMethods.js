@@ -0,0 +1,36 @@
+/**
+ * Initial shipping methods.
+ *
+ * rate: how the cost is computed, in currency units
+ *   { type: 'flat', amount }
+ *   { type: 'per_item', base, perItem } <-- base + perItem × ordered quantity
+ *   { type: 'free_above', amount, threshold } <-- free when basket reaches threshold
+ * countries: ISO 3166-1 alpha-2 codes delivered
+ * excludedPostalCodes: postal code prefixes not delivered, e.g. islands
+ */
+module.exports = [
+  {
+    "id": "standard",
+    "name": "Livraison standard",
+    "delay": "5 à 7 jours ouvrés",
+    "rate": { "type": "free_above", "amount": 49, "threshold": 2000 },
+    "countries": ["FR", "BE", "LU"],
+    "excludedPostalCodes": []
+  },
+  {
+    "id": "express",
+    "name": "Livraison express",
+    "delay": "2 à 3 jours ouvrés",
+    "rate": { "type": "flat", "amount": 99 },
+    "countries": ["FR"],
+    "excludedPostalCodes": ["20"]
+  },
+  {
+    "id": "installation",
+    "name": "Livraison et installation",
+    "delay": "7 à 10 jours ouvrés",
+    "rate": { "type": "per_item", "base": 79, "perItem": 40 },
+    "countries": ["FR", "BE", "LU", "CH"],
+    "excludedPostalCodes": []
+  }
+];
@@ -1,5 +1,6 @@
 const http = require('http');
 const app = require('./app');
+const payments = require('./services/payments');
 
 const normalizePort = val => {
   const port = parseInt(val, 10);
@@ -43,3 +44,8 @@ server.on('listening', () => {
 });
 
 server.listen(port);
+
+// pending orders not paid in time give their stock back
+setInterval(() => {
+  payments.expireUnpaidOrders().catch(error => console.error('Unpaid orders not expired:', error));
+}, 60 * 1000);
@@ -0,0 +1,101 @@
+const { QueryError, parsePagination, paginate } = require('./pagination');
+
+/**
+ * Colors and prices a product is sold at, one per variant once resolved.
+ *
+ * @param {object} product
+ * @returns {{ color: string, price: number }[]}
+ */
+const offersOf = (product) => {
+  if (product.variants && product.variants.length) {
+    return product.variants;
+  }
+  return product.colors.map(color => ({ color: color, price: product.price }));
+};
+
+/** Lowest price a product is sold at. */
+const lowestPrice = (product) => {
+  return Math.min(...offersOf(product).map(offer => offer.price));
+};
+
+/** Sort keys allowed by `sort=`, prefixed by `-` for descending order. */
+const SORTS = {
+  price: (a, b) => lowestPrice(a) - lowestPrice(b),
+  name: (a, b) => a.name.localeCompare(b.name)
+};
+
+/**
+ * Normalize text to compare it without case nor accents.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const normalize = (value) => {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new QueryError('Invalid ' + name + ': ' + value);
+  }
+  return number;
+};
+
+/**
+ * Parse `req.query` into catalog criterias.
+ *
+ * @param {object} query
+ * @returns {{ terms: string[], colors: string[], minPrice?: number, maxPrice?: number, sort?: string, page: number, limit?: number }}
+ */
+const parseQuery = (query) => {
+  const sort = query.sort || undefined;
+  if (sort && !SORTS[sort.replace(/^-/, '')]) {
+    throw new QueryError('Invalid sort: ' + sort);
+  }
+  return {
+    terms: normalize(query.q || '').split(/\s+/).filter(Boolean),
+    colors: [].concat(query.color || []).join(',').split(',').map(normalize).filter(Boolean),
+    minPrice: parseNumber(query.minPrice, 'minPrice'),
+    maxPrice: parseNumber(query.maxPrice, 'maxPrice'),
+    sort: sort,
+    ...parsePagination(query)
+  };
+};
+
+/**
+ * Filter, sort and paginate products. A product matches colors and prices
+ * when one of its variants does, and is sorted by its lowest price.
+ *
+ * @param {object[]} products
+ * @param {object} criterias As returned by `parseQuery`
+ * @returns {{ products: object[], total: number, page: number, limit?: number }}
+ */
+const queryProducts = (products, criterias) => {
+  let results = products.filter((product) => {
+    const text = normalize(product.name + ' ' + product.description);
+    return criterias.terms.every(term => text.includes(term)) &&
+      offersOf(product).some(offer =>
+        (!criterias.colors.length || criterias.colors.includes(normalize(offer.color))) &&
+        (criterias.minPrice === undefined || offer.price >= criterias.minPrice) &&
+        (criterias.maxPrice === undefined || offer.price <= criterias.maxPrice)
+      );
+  });
+
+  if (criterias.sort) {
+    const descending = criterias.sort.startsWith('-');
+    const compare = SORTS[criterias.sort.replace(/^-/, '')];
+    results = results.sort((a, b) => descending ? compare(b, a) : compare(a, b));
+  }
+
+  const { items, ...page } = paginate(results, criterias);
+  return { products: items, ...page };
+};
+
+module.exports = {
+  parseQuery,
+  queryProducts
+};
@@ -0,0 +1,34 @@
+const pricing = require('./pricing');
+const promotions = require('./promotions');
+const shipping = require('./shipping');
+const tax = require('./tax');
+const currency = require('./currency');
+const orderSchema = require('./orderSchema');
+const { ApiError } = require('../errors');
+
+/**
+ * Compute what a customer pays for a cart: priced lines, then the promo
+ * code discount and the shipping cost when they are given, converted to
+ * the requested currency, and finally the VAT included in it.
+ * Free shipping thresholds and promo code rules apply to catalog currency
+ * amounts.
+ *
+ * @param {{ products: object[], promoCode?: string, shipping?: object }} body
+ * @param {{ currency?: string, language?: string }} options Default to catalog ones
+ * @returns {Promise<object>} The quote
+ */
+const quote = (body, { currency: currencyCode = pricing.CURRENCY, language } = {}) => {
+  const shippingErrors = body.shipping ? orderSchema.validateShipping(body.shipping) : [];
+  if (shippingErrors.length) {
+    return Promise.reject(new ApiError(400, 'INVALID_SHIPPING', 'Invalid shipping!', shippingErrors));
+  }
+  return pricing.priceLines(body.products, language).then(
+    (quote) => body.promoCode ? promotions.applyPromotion(quote, body.promoCode) : quote
+  ).then(
+    (quote) => body.shipping ? shipping.applyShipping(quote, orderSchema.pickShipping(body.shipping)) : quote
+  ).then(
+    (quote) => tax.applyTax(currency.convertQuote(quote, currencyCode))
+  );
+};
+
+module.exports = { quote };
@@ -0,0 +1,147 @@
+const { ApiError } = require('../errors');
+const { CURRENCY } = require('./pricing');
+const money = require('./money');
+
+/** Value of one catalog currency unit in each supported currency. */
+const DEFAULT_EXCHANGE_RATES = {
+  EUR: 1,
+  USD: 1.08,
+  GBP: 0.85,
+  CHF: 0.94
+};
+
+/**
+ * Read exchange rates from `EXCHANGE_RATES`, a JSON object such as
+ * `{"USD":1.1}`, merged into the default ones.
+ *
+ * @returns {{ [currency: string]: number }}
+ */
+const loadExchangeRates = () => {
+  let configured;
+  try {
+    configured = JSON.parse(process.env.EXCHANGE_RATES || '{}');
+  } catch (error) {
+    throw new Error('EXCHANGE_RATES must be a JSON object such as {"USD":1.1}: ' + error.message);
+  }
+  if (!configured || typeof configured !== 'object' || Array.isArray(configured)) {
+    throw new Error('EXCHANGE_RATES must be a JSON object such as {"USD":1.1}');
+  }
+  const rates = { ...DEFAULT_EXCHANGE_RATES, ...configured };
+  Object.keys(rates).forEach((currency) => {
+    if (!/^[A-Z]{3}$/.test(currency) || typeof rates[currency] !== 'number' || !(rates[currency] > 0)) {
+      throw new Error('Invalid exchange rate in EXCHANGE_RATES: ' + currency);
+    }
+  });
+  if (rates[CURRENCY] !== 1) {
+    throw new Error('Exchange rate of ' + CURRENCY + ' must be 1');
+  }
+  return rates;
+};
+
+const EXCHANGE_RATES = loadExchangeRates();
+
+/**
+ * Raised when the requested currency isn't supported.
+ */
+class CurrencyError extends ApiError {
+  constructor (currency) {
+    super(400, 'INVALID_CURRENCY', 'Unsupported currency: ' + currency, { supported: Object.keys(EXCHANGE_RATES) });
+  }
+}
+
+/**
+ * Read a `currency` parameter, defaulting to catalog currency.
+ *
+ * @param {any} value
+ * @returns {string} ISO 4217 code
+ */
+const parseCurrency = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return CURRENCY;
+  }
+  const currency = String(value).toUpperCase();
+  if (!EXCHANGE_RATES[currency]) {
+    throw new CurrencyError(value);
+  }
+  return currency;
+};
+
+/**
+ * Convert an amount from catalog currency, rounded to minor units.
+ *
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {number}
+ */
+const convert = (amount, currency) => {
+  return money.roundAmount(amount * EXCHANGE_RATES[currency], currency);
+};
+
+/**
+ * Convert an amount back to catalog currency, rounded to minor units.
+ *
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {number}
+ */
+const toBase = (amount, currency) => {
+  return money.roundAmount(amount / EXCHANGE_RATES[currency], CURRENCY);
+};
+
+/**
+ * Product with its price and variants ones in `currency`.
+ *
+ * @param {object} product
+ * @param {string} currency
+ * @returns {object}
+ */
+const convertProduct = (product, currency) => {
+  return {
+    ...product,
+    price: convert(product.price, currency),
+    ...(product.variants && { variants: product.variants.map(variant => ({ ...variant, price: convert(variant.price, currency) })) }),
+    currency: currency
+  };
+};
+
+/**
+ * Quote with its amounts in `currency`. Line subtotals and total are
+ * computed again from converted amounts, in minor units, so they still add up.
+ *
+ * @param {object} quote Quote in catalog currency, before tax
+ * @param {string} currency
+ * @returns {object}
+ */
+const convertQuote = (quote, currency) => {
+  const toMinor = amount => money.toMinor(amount * EXCHANGE_RATES[currency], currency);
+  const fromMinor = minor => money.fromMinor(minor, currency);
+
+  const lines = quote.products.map((line) => {
+    const price = toMinor(line.price);
+    return { line: line, price: price, subtotal: price * line.quantity };
+  });
+  const subtotal = lines.reduce((total, { subtotal }) => total + subtotal, 0);
+  const discount = Math.min(toMinor(quote.discount), subtotal);
+  const shippingCost = quote.shipping ? toMinor(quote.shipping.cost) : 0;
+
+  return {
+    ...quote,
+    currency: currency,
+    exchangeRate: EXCHANGE_RATES[currency],
+    products: lines.map(({ line, price, subtotal }) => ({ ...line, price: fromMinor(price), subtotal: fromMinor(subtotal) })),
+    subtotal: fromMinor(subtotal),
+    discount: fromMinor(discount),
+    shipping: quote.shipping && { ...quote.shipping, cost: fromMinor(shippingCost) },
+    total: fromMinor(subtotal - discount + shippingCost)
+  };
+};
+
+module.exports = {
+  EXCHANGE_RATES,
+  CurrencyError,
+  parseCurrency,
+  convert,
+  toBase,
+  convertProduct,
+  convertQuote
+};
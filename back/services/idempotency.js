@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const createLock = require('./lock');
+const { ApiError } = require('../errors');
+
+/** How long a key replays its result, in milliseconds. */
+const TTL = 24 * 60 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+const withLock = createLock();
+
+/**
+ * JSON with object keys sorted, so equal payloads always match.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalJSON).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort().map(key => JSON.stringify(key) + ':' + canonicalJSON(value[key])).join(',') + '}';
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprintOf = (payload) => {
+  return crypto.createHash('sha256').update(canonicalJSON(payload)).digest('hex');
+};
+
+/**
+ * Check an `Idempotency-Key` header value.
+ *
+ * @param {string} key
+ * @throws {ApiError} 400 `INVALID_IDEMPOTENCY_KEY`
+ */
+const validateKey = (key) => {
+  if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    throw new ApiError(400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency key must be 1 to ' + MAX_KEY_LENGTH + ' printable characters!');
+  }
+};
+
+/**
+ * Run an operation once per key. Repeating a key with the same payload
+ * resolves with the resource created the first time, reusing it for
+ * another payload is refused. Requests sharing a key are run one after the
+ * other, so a retry sent while the first request is in progress waits for
+ * its result. Failed operations aren't recorded and can be retried.
+ *
+ * @param {string} key
+ * @param {object} payload What the request asks for, e.g. body and user
+ * @param {() => Promise<string>} operation Resolves with the id of the created resource
+ * @returns {Promise<{ resourceId: string, replayed: boolean }>}
+ */
+const once = (key, payload, operation) => {
+  const fingerprint = fingerprintOf(payload);
+
+  return withLock(() => IdempotencyKey.findById(key).then(
+    (record) => {
+      const expired = record && Date.now() - Date.parse(record.createdAt) > TTL;
+
+      if (record && !expired) {
+        if (record.fingerprint !== fingerprint) {
+          throw new ApiError(409, 'IDEMPOTENCY_KEY_MISMATCH', 'Idempotency key was already used for another request!');
+        }
+        return { resourceId: record.resourceId, replayed: true };
+      }
+      return operation().then((resourceId) => {
+        const entry = { key: key, fingerprint: fingerprint, resourceId: resourceId, createdAt: new Date().toISOString() };
+        return (record ? IdempotencyKey.replace(key, entry) : IdempotencyKey.create(entry)).then(
+          () => ({ resourceId: resourceId, replayed: false })
+        );
+      });
+    }
+  ));
+};
+
+module.exports = {
+  validateKey,
+  once
+};
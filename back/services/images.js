@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const uuidv4 = require('uuid/v4');
+const { ApiError } = require('../errors');
+
+/** Catalog images shipped with the server. */
+const IMAGES_DIR = path.join(__dirname, '..', 'images');
+/** Images uploaded by administrators. */
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'data', 'images');
+/** Resized variants, generated on first request. */
+const CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(__dirname, '..', 'data', 'cache', 'images');
+
+/** Widths variants are generated in, a fixed set keeps the cache bounded. */
+const WIDTHS = [160, 320, 640, 1280];
+
+/** Accepted image types, by MIME type. */
+const TYPES = {
+  'image/jpeg': { format: 'jpeg', extension: '.jpeg' },
+  'image/png': { format: 'png', extension: '.png' },
+  'image/webp': { format: 'webp', extension: '.webp' }
+};
+
+/** Maximum size of an uploaded image, in bytes. */
+const MAX_SIZE = parseInt(process.env.IMAGE_MAX_SIZE, 10) || 5 * 1024 * 1024;
+
+/** Image file names, no folder can be reached through them. */
+const FILE_NAME_PATTERN = /^[\w-]+\.(jpe?g|png|webp)$/;
+
+/** Variants being generated, by cache file, so concurrent requests share the work. */
+const pending = new Map();
+
+/**
+ * Path of an original image, uploaded ones first, or `null` if none exists.
+ *
+ * @param {string} fileName
+ * @returns {Promise<string|null>}
+ */
+const findImage = (fileName) => {
+  if (!FILE_NAME_PATTERN.test(fileName)) {
+    return Promise.resolve(null);
+  }
+  const candidates = [UPLOADS_DIR, IMAGES_DIR].map(dir => path.join(dir, fileName));
+
+  return candidates.reduce(
+    (found, candidate) => found.then(
+      (file) => file || fs.promises.access(candidate).then(() => candidate, () => null)
+    ),
+    Promise.resolve(null)
+  );
+};
+
+/**
+ * Path of an image resized to `width`, generated and cached on first call.
+ * Images are never enlarged.
+ *
+ * @param {string} fileName
+ * @param {number} width One of `WIDTHS`
+ * @returns {Promise<string|null>} `null` if the image doesn't exist
+ */
+const getVariant = (fileName, width) => {
+  const file = path.join(CACHE_DIR, String(width), fileName);
+
+  if (pending.has(file)) {
+    return pending.get(file);
+  }
+
+  const variant = fs.promises.access(file).then(
+    () => file,
+    () => findImage(fileName).then((original) => {
+      if (!original) {
+        return null;
+      }
+      // write aside then rename so a half-written file is never served
+      const tmpFile = file + '.' + process.pid + '.tmp';
+
+      return fs.promises.mkdir(path.dirname(file), { recursive: true })
+        .then(() => sharp(original).rotate().resize({ width: width, withoutEnlargement: true }).toFile(tmpFile))
+        .then(() => fs.promises.rename(tmpFile, file))
+        .then(() => file);
+    })
+  ).finally(() => pending.delete(file));
+
+  pending.set(file, variant);
+  return variant;
+};
+
+/**
+ * Store an uploaded image under a new unique file name.
+ * Its content must be a decodable image of the declared type.
+ *
+ * @param {Buffer} buffer
+ * @param {string} type MIME type declared by the client
+ * @returns {Promise<{ fileName: string, type: string, size: number, width: number, height: number }>}
+ */
+const store = (buffer, type) => {
+  if (!TYPES[type]) {
+    return Promise.reject(new ApiError(415, 'UNSUPPORTED_IMAGE_TYPE', 'Unsupported image type: ' + type, { supported: Object.keys(TYPES) }));
+  }
+  if (!buffer || !buffer.length) {
+    return Promise.reject(new ApiError(400, 'INVALID_IMAGE', 'Image is empty!'));
+  }
+
+  return sharp(buffer).metadata().then(
+    (metadata) => metadata,
+    () => {
+      throw new ApiError(400, 'INVALID_IMAGE', 'Image can\'t be decoded!');
+    }
+  ).then((metadata) => {
+    if (metadata.format !== TYPES[type].format) {
+      throw new ApiError(400, 'INVALID_IMAGE', 'Image is not of type ' + type + '!');
+    }
+    const fileName = uuidv4().replace(/-/g, '') + TYPES[type].extension;
+
+    return fs.promises.mkdir(UPLOADS_DIR, { recursive: true })
+      .then(() => fs.promises.writeFile(path.join(UPLOADS_DIR, fileName), buffer))
+      .then(() => ({
+        fileName: fileName,
+        type: type,
+        size: buffer.length,
+        width: metadata.width,
+        height: metadata.height
+      }));
+  });
+};
+
+/**
+ * Server URL of a request, e.g. `http://localhost:3000`, which images are
+ * served from.
+ *
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+const baseUrlOf = (req) => {
+  return req.protocol + '://' + req.get('host');
+};
+
+/**
+ * URL of an image served full size.
+ *
+ * @param {string} baseUrl Server URL, e.g. `http://localhost:3000`
+ * @param {string} fileName
+ * @returns {string}
+ */
+const imageUrl = (baseUrl, fileName) => {
+  return baseUrl + '/images/' + fileName;
+};
+
+/**
+ * Order, cart or quote lines with the URL of their image, as sent to clients.
+ *
+ * @param {import('express').Request} req
+ * @param {object[]} lines Lines whose `imageUrl` is a file name
+ * @returns {object[]}
+ */
+const withLineImageUrls = (req, lines) => {
+  const baseUrl = baseUrlOf(req);
+  return lines.map(line => ({ ...line, imageUrl: imageUrl(baseUrl, line.imageUrl) }));
+};
+
+/**
+ * `srcset` attribute listing the variants of an image.
+ *
+ * @param {string} baseUrl Server URL, e.g. `http://localhost:3000`
+ * @param {string} fileName
+ * @returns {string}
+ */
+const srcset = (baseUrl, fileName) => {
+  return WIDTHS
+    .map(width => baseUrl + '/api/images/' + encodeURIComponent(fileName) + '?width=' + width + ' ' + width + 'w')
+    .join(', ');
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  WIDTHS,
+  TYPES,
+  MAX_SIZE,
+  getVariant,
+  store,
+  baseUrlOf,
+  imageUrl,
+  withLineImageUrls,
+  srcset
+};
@@ -0,0 +1,192 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const lifecycle = require('./orderLifecycle');
+const createLock = require('./lock');
+const orderText = require('./orderText');
+const { ApiError } = require('../errors');
+
+/** Seller printed on invoices, the storefront footer one by default. */
+const SELLER = {
+  name: process.env.SELLER_NAME || 'Kanap',
+  address: (process.env.SELLER_ADDRESS || '10 quai de la charente|75019 Paris 19').split('|'),
+  phone: process.env.SELLER_PHONE || '01 23 45 67 89',
+  email: process.env.SELLER_EMAIL || 'support@name.com'
+};
+
+/** Statuses of paid orders, the only ones getting a new invoice. */
+const INVOICEABLE_STATUSES = ['paid', 'preparing', 'shipped', 'delivered'];
+
+/**
+ * Invoice texts by language, completing `orderText` ones. `{name}`
+ * placeholders are replaced by params.
+ */
+const MESSAGES = {
+  fr: {
+    title: 'Facture n° {number}',
+    issuedAt: 'Date de facturation : {date}',
+    orderId: 'Commande n° {orderId} du {date}',
+    phone: 'Tél. : {phone}',
+    billedTo: 'Facturé à',
+    product: 'Produit',
+    color: 'Couleur',
+    quantity: 'Qté',
+    unitPrice: 'Prix unitaire',
+    amount: 'Montant TTC',
+    subtotal: 'Sous-total'
+  },
+  en: {
+    title: 'Invoice #{number}',
+    issuedAt: 'Invoice date: {date}',
+    orderId: 'Order #{orderId} of {date}',
+    phone: 'Phone: {phone}',
+    billedTo: 'Billed to',
+    product: 'Product',
+    color: 'Color',
+    quantity: 'Qty',
+    unitPrice: 'Unit price',
+    amount: 'Amount incl. VAT',
+    subtotal: 'Subtotal'
+  }
+};
+
+/** Left edge and width of the line columns, in points. */
+const COLUMNS = [
+  { x: 50, width: 190 },
+  { x: 245, width: 85 },
+  { x: 335, width: 35, align: 'right' },
+  { x: 375, width: 80, align: 'right' },
+  { x: 460, width: 85, align: 'right' }
+];
+
+const withLock = createLock();
+
+/**
+ * Number following the last invoice of the year, e.g. `2026-000042`.
+ * Numbers have no gaps, as required for invoices.
+ *
+ * @param {object[]} orders
+ * @param {number} year
+ * @returns {string}
+ */
+const nextNumber = (orders, year) => {
+  const last = orders
+    .filter(order => order.invoice && order.invoice.number.startsWith(year + '-'))
+    .reduce((max, order) => Math.max(max, Number(order.invoice.number.slice(5))), 0);
+
+  return year + '-' + String(last + 1).padStart(6, '0');
+};
+
+/**
+ * Give an order its invoice number, once it is paid. Invoices keep their
+ * number and are still served once the order is refunded, the refund being
+ * recorded by its payment and history.
+ *
+ * @param {string} orderId
+ * @returns {Promise<object|null>} Invoiced order, `null` if it doesn't exist
+ */
+const issueInvoice = (orderId) => {
+  return withLock(() => Order.find().then(
+    (orders) => {
+      const order = orders.find(candidate => candidate.orderId === orderId);
+      if (!order) {
+        return null;
+      }
+      if (order.invoice) {
+        return order;
+      }
+      const status = lifecycle.statusOf(order);
+      if (!INVOICEABLE_STATUSES.includes(status)) {
+        throw new ApiError(409, 'ORDER_NOT_INVOICEABLE', 'Order is ' + status + ', only paid orders are invoiced!', { status: status });
+      }
+      const issuedAt = new Date();
+      return Order.update(orderId, {
+        invoice: { number: nextNumber(orders, issuedAt.getUTCFullYear()), issuedAt: issuedAt.toISOString() }
+      });
+    }
+  ));
+};
+
+/**
+ * Render the invoice of an order, in the language it was placed in.
+ *
+ * @param {object} order Invoiced order
+ * @returns {Promise<Buffer>} PDF document
+ */
+const renderInvoice = (order) => {
+  const format = orderText.formatterOf(order, MESSAGES);
+  const { t, date } = format;
+  // standard PDF fonts lack the narrow no-break space of French formats
+  const money = amount => format.money(amount).replace(/\u202f/g, ' ');
+
+  const { contact, shipping } = order;
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: t('title', order.invoice), Author: SELLER.name } });
+
+  const row = (cells, y, font = 'Helvetica') => {
+    doc.font(font).fontSize(10);
+    const height = Math.max(...cells.map((cell, index) => doc.heightOfString(cell, COLUMNS[index])));
+    cells.forEach((cell, index) => doc.text(cell, COLUMNS[index].x, y, COLUMNS[index]));
+    return y + height + 6;
+  };
+  const totalRow = (label, amount, y, font = 'Helvetica') => {
+    doc.font(font).fontSize(10)
+      .text(label, 300, y, { width: 155, align: 'right' })
+      .text(amount, 460, y, { width: 85, align: 'right' });
+    return y + 16;
+  };
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(16).text(SELLER.name, 50, 50);
+    doc.font('Helvetica').fontSize(10)
+      .text(SELLER.address.join('\n'))
+      .text(t('phone', SELLER))
+      .text(SELLER.email);
+
+    doc.font('Helvetica-Bold').fontSize(10).text(t('billedTo'), 330, 50);
+    doc.font('Helvetica')
+      .text(contact.firstName + ' ' + contact.lastName, 330)
+      .text(contact.address, 330)
+      .text((shipping ? shipping.postalCode + ' ' : '') + contact.city + (shipping ? ', ' + shipping.country : ''), 330)
+      .text(contact.email, 330);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(t('title', order.invoice), 50, 170);
+    doc.font('Helvetica').fontSize(10)
+      .text(t('issuedAt', { date: date(order.invoice.issuedAt) }))
+      .text(t('orderId', { orderId: order.orderId, date: date(order.createdAt) }));
+
+    let y = row([t('product'), t('color'), t('quantity'), t('unitPrice'), t('amount')], 250, 'Helvetica-Bold');
+    doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+
+    order.products.forEach((line) => {
+      if (y > 720) {
+        doc.addPage();
+        y = 50;
+      }
+      y = row([line.name, line.color, String(line.quantity), money(line.price), money(line.subtotal)], y + 4);
+    });
+
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    if (y > 650) {
+      doc.addPage();
+      y = 40;
+    }
+    const totals = [[t('subtotal'), money(order.subtotal)], ...orderText.totalRows(order, { ...format, money })];
+    const [totalLabel, totalAmount] = totals.pop();
+    y += 10;
+    totals.forEach(([label, amount]) => {
+      y = totalRow(label, amount, y);
+    });
+    totalRow(totalLabel, totalAmount, y + 4, 'Helvetica-Bold');
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  issueInvoice,
+  renderInvoice
+};
@@ -0,0 +1,64 @@
+const { ApiError } = require('../errors');
+
+/** Languages the API answers in, catalog is written in the first one. */
+const LANGUAGES = ['fr', 'en'];
+
+const DEFAULT_LANGUAGE = LANGUAGES[0];
+
+/** Product fields which may be translated. */
+const TRANSLATED_FIELDS = ['name', 'description', 'altTxt'];
+
+/**
+ * Raised when the requested language isn't supported.
+ */
+class LanguageError extends ApiError {
+  constructor (language) {
+    super(400, 'INVALID_LANGUAGE', 'Unsupported language: ' + language, { supported: LANGUAGES });
+  }
+}
+
+/**
+ * Read a `lang` parameter, or the best `Accept-Language` match.
+ *
+ * @param {any} value `lang` parameter
+ * @param {(languages: string[]) => string | false} acceptsLanguages Bound `req.acceptsLanguages`
+ * @returns {string}
+ */
+const parseLanguage = (value, acceptsLanguages) => {
+  if (value === undefined || value === null || value === '') {
+    return acceptsLanguages(LANGUAGES) || DEFAULT_LANGUAGE;
+  }
+  const language = String(value).toLowerCase();
+  if (!LANGUAGES.includes(language)) {
+    throw new LanguageError(value);
+  }
+  return language;
+};
+
+/**
+ * Product with its texts in `language`, without its translations.
+ *
+ * @param {object} product
+ * @param {string} language
+ * @returns {object}
+ */
+const localizeProduct = (product, language) => {
+  const { translations, ...localized } = product;
+  const translation = (translations && translations[language]) || {};
+  TRANSLATED_FIELDS
+    .filter(field => typeof translation[field] === 'string')
+    .forEach((field) => {
+      localized[field] = translation[field];
+    });
+  localized.lang = language;
+  return localized;
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TRANSLATED_FIELDS,
+  LanguageError,
+  parseLanguage,
+  localizeProduct
+};
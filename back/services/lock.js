@@ -0,0 +1,17 @@
+/**
+ * Create a lock running operations one after the other, so read-then-write
+ * sequences (stock, usage counters...) can't interleave.
+ *
+ * @returns {(operation: () => Promise) => Promise} Runs `operation` once previous ones are settled
+ */
+const createLock = () => {
+  let pending = Promise.resolve();
+
+  return (operation) => {
+    const run = pending.then(operation);
+    pending = run.catch(() => {});
+    return run;
+  };
+};
+
+module.exports = createLock;
@@ -0,0 +1,56 @@
+/**
+ * Amounts are exchanged as decimal numbers of currency units, e.g. `18.49`,
+ * and computed in integer minor units, e.g. `1849` cents, so sums carry no
+ * floating point noise.
+ */
+
+/**
+ * Count of decimals of a currency, e.g. 2 for euros and 0 for yens.
+ *
+ * @param {string} currency ISO 4217 code
+ * @returns {number}
+ */
+const minorDigits = (currency) => {
+  return new Intl.NumberFormat('en', { style: 'currency', currency: currency }).resolvedOptions().maximumFractionDigits;
+};
+
+/**
+ * Amount in minor units, rounded.
+ *
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {number} Integer
+ */
+const toMinor = (amount, currency) => {
+  // drop noise such as 1.005 * 100 = 100.49999999999999 before rounding
+  return Math.round(Number((amount * 10 ** minorDigits(currency)).toPrecision(12)));
+};
+
+/**
+ * Amount in currency units from minor units.
+ *
+ * @param {number} minor Integer
+ * @param {string} currency
+ * @returns {number}
+ */
+const fromMinor = (minor, currency) => {
+  return minor / 10 ** minorDigits(currency);
+};
+
+/**
+ * Round an amount to the minor unit of its currency.
+ *
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {number}
+ */
+const roundAmount = (amount, currency) => {
+  return fromMinor(toMinor(amount, currency), currency);
+};
+
+module.exports = {
+  minorDigits,
+  toMinor,
+  fromMinor,
+  roundAmount
+};
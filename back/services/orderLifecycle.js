@@ -0,0 +1,188 @@
+const Order = require('../models/Order');
+const stock = require('./stock');
+const promotions = require('./promotions');
+const orderMail = require('./orderMail');
+const createLock = require('./lock');
+const { ApiError } = require('../errors');
+
+/** Statuses an order can go to from each status. */
+const TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['preparing', 'refunded'],
+  preparing: ['shipped', 'refunded'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+const INITIAL_STATUS = 'pending';
+
+/** Statuses whose goods haven't left the warehouse, they go back to stock when given up. */
+const IN_STOCK_STATUSES = ['pending', 'paid', 'preparing'];
+
+const withLock = createLock();
+
+/**
+ * Raised when an order can't go from its status to the requested one.
+ */
+class TransitionError extends ApiError {
+  constructor (from, to) {
+    super(409, 'INVALID_TRANSITION', 'Order can\'t go from ' + from + ' to ' + to + '!', {
+      from: from,
+      to: to,
+      allowed: TRANSITIONS[from]
+    });
+  }
+}
+
+/**
+ * Status of an order, orders placed before statuses existed are pending.
+ *
+ * @param {object} order
+ * @returns {string}
+ */
+const statusOf = (order) => {
+  return order.status || INITIAL_STATUS;
+};
+
+/**
+ * Order as shown to customers, its audit trail is kept for administrators.
+ *
+ * @param {object} order
+ * @returns {object}
+ */
+const publicOrder = (order) => {
+  const { history, ...rest } = order;
+  return { ...rest, status: statusOf(order) };
+};
+
+/**
+ * Whether a customer may see an order: orders of an account only by their
+ * owner, others by whoever knows their id.
+ *
+ * @param {object} order
+ * @param {string|undefined} userId Logged in user
+ * @returns {boolean}
+ */
+const isAccessibleBy = (order, userId) => {
+  return !order.userId || order.userId === userId;
+};
+
+/**
+ * Audit trail entry.
+ *
+ * @param {string} status Status entered
+ * @param {string|null} from Status left, `null` when the order is created
+ * @param {{ by: string, author?: string, note?: string }} change `by` is `customer`, `admin`
+ * or `system`, `author` identifies who within it, e.g. an admin name or a user id
+ * @returns {{ status: string, from: string|null, at: string, by: string, author: string|null, note: string|null }}
+ */
+const historyEntry = (status, from, change) => {
+  return {
+    status: status,
+    from: from,
+    at: new Date().toISOString(),
+    by: change.by,
+    author: change.author || null,
+    note: change.note || null
+  };
+};
+
+/**
+ * Status fields of a new order.
+ *
+ * @param {{ by: string, author?: string }} change
+ * @returns {{ status: string, statusUpdatedAt: string, history: object[] }}
+ */
+const initialStatus = (change) => {
+  const entry = historyEntry(INITIAL_STATUS, null, change);
+  return {
+    status: entry.status,
+    statusUpdatedAt: entry.at,
+    history: [entry]
+  };
+};
+
+/**
+ * Give back what an order held once it is given up: stock while goods
+ * are still here, and the promo code use of an order never paid.
+ *
+ * @param {object} order
+ * @param {string} from Status left
+ * @param {string} to Status entered
+ * @returns {Promise}
+ */
+const releaseHeld = (order, from, to) => {
+  const steps = [];
+
+  if ((to === 'cancelled' || to === 'refunded') && IN_STOCK_STATUSES.includes(from)) {
+    steps.push(stock.release(order.products));
+  }
+  if (to === 'cancelled' && order.promotion) {
+    steps.push(promotions.release(order.promotion.code));
+  }
+  return Promise.all(steps);
+};
+
+/**
+ * Tell the customer about a status change: the order is confirmed once paid.
+ * Status changes don't wait for mails, nor fail with them.
+ *
+ * @param {object} order
+ * @param {string} to Status entered
+ */
+const notifyCustomer = (order, to) => {
+  if (to === 'paid') {
+    orderMail.sendOrderConfirmation(order).catch(
+      (error) => console.error('Confirmation of order ' + order.orderId + ' not sent:', error)
+    );
+  }
+};
+
+/**
+ * Move an order to another status, recording the change in its history.
+ * Transitions are serialized so concurrent ones can't both apply.
+ *
+ * @param {string} orderId
+ * @param {string} to
+ * @param {{ by: string, author?: string, note?: string }} change
+ * @returns {Promise<object|null>} Updated order, `null` if it doesn't exist
+ */
+const transition = (orderId, to, change) => {
+  return withLock(() => Order.findById(orderId).then(
+    (order) => {
+      if (!order) {
+        return null;
+      }
+      const from = statusOf(order);
+      if (!TRANSITIONS[from].includes(to)) {
+        throw new TransitionError(from, to);
+      }
+      const entry = historyEntry(to, from, change);
+      return Order.update(orderId, {
+        status: to,
+        statusUpdatedAt: entry.at,
+        history: (order.history || []).concat(entry)
+      }).then(
+        (updated) => releaseHeld(updated, from, to).then(() => {
+          notifyCustomer(updated, to);
+          return updated;
+        })
+      );
+    }
+  ));
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  TransitionError,
+  statusOf,
+  publicOrder,
+  isAccessibleBy,
+  initialStatus,
+  transition
+};
@@ -0,0 +1,122 @@
+const mailer = require('./mailer');
+const orderText = require('./orderText');
+
+/**
+ * Mail texts by language, completing `orderText` ones. `{name}`
+ * placeholders are replaced by params.
+ */
+const MESSAGES = {
+  fr: {
+    subject: 'Votre commande Kanap n°{orderId}',
+    greeting: 'Bonjour {firstName},',
+    intro: 'Merci pour votre commande du {date}, nous la préparons avec soin.',
+    orderId: 'Numéro de commande : {orderId}',
+    deliveredTo: 'Livraison à',
+    colon: ' :',
+    signature: 'L\'équipe Kanap'
+  },
+  en: {
+    subject: 'Your Kanap order #{orderId}',
+    greeting: 'Hello {firstName},',
+    intro: 'Thank you for your order of {date}, we are carefully preparing it.',
+    orderId: 'Order number: {orderId}',
+    deliveredTo: 'Delivered to',
+    colon: ':',
+    signature: 'The Kanap team'
+  }
+};
+
+/**
+ * Escape text inserted into HTML.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Render the confirmation mail of an order, in the language it was placed in.
+ *
+ * @param {object} order
+ * @returns {{ to: string, subject: string, text: string, html: string }}
+ */
+const renderOrderConfirmation = (order) => {
+  const format = orderText.formatterOf(order, MESSAGES);
+  const { lang, t, money } = format;
+
+  const { contact, shipping } = order;
+  const date = format.date(order.createdAt);
+  const lines = order.products.map(line => [line.name + ' ' + line.color + ' × ' + line.quantity, money(line.subtotal)]);
+  const totals = orderText.totalRows(order, format);
+  const address = [
+    contact.firstName + ' ' + contact.lastName,
+    contact.address,
+    (shipping ? shipping.postalCode + ' ' : '') + contact.city + (shipping ? ', ' + shipping.country : ''),
+    contact.email
+  ];
+
+  const text = [
+    t('greeting', contact),
+    '',
+    t('intro', { date }),
+    t('orderId', order),
+    '',
+    ...lines.map(([label, amount]) => label + t('colon') + ' ' + amount),
+    '',
+    ...totals.map(([label, amount]) => label + t('colon') + ' ' + amount),
+    '',
+    t('deliveredTo') + t('colon'),
+    ...address,
+    '',
+    t('signature')
+  ].join('\n');
+
+  const rows = rowsOf => rowsOf
+    .map(([label, amount]) => `<tr><td>${escapeHtml(label)}</td><td align="right">${escapeHtml(amount)}</td></tr>`)
+    .join('\n');
+
+  const html = `<!DOCTYPE html>
+<html lang="${lang}">
+<body style="font-family: Montserrat, Arial, sans-serif; color: #3d4c68;">
+<p>${escapeHtml(t('greeting', contact))}</p>
+<p>${escapeHtml(t('intro', { date }))}<br>${escapeHtml(t('orderId', order))}</p>
+<table cellpadding="4" style="border-collapse: collapse;">
+${rows(lines)}
+<tr><td colspan="2"><hr></td></tr>
+${rows(totals)}
+</table>
+<p><strong>${escapeHtml(t('deliveredTo'))}</strong><br>${address.map(escapeHtml).join('<br>')}</p>
+<p>${escapeHtml(t('signature'))}</p>
+</body>
+</html>
+`;
+
+  return {
+    to: contact.email,
+    subject: t('subject', order),
+    text: text,
+    html: html
+  };
+};
+
+/**
+ * Send the confirmation mail of an order to its contact.
+ *
+ * @param {object} order
+ * @returns {Promise<object>}
+ */
+const sendOrderConfirmation = (order) => {
+  return mailer.sendMail(renderOrderConfirmation(order));
+};
+
+module.exports = {
+  renderOrderConfirmation,
+  sendOrderConfirmation
+};
@@ -0,0 +1,60 @@
+const { STATUSES, statusOf } = require('./orderLifecycle');
+const { QueryError, parsePagination, paginate } = require('./pagination');
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError('Invalid ' + name + ': ' + value);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Parse `req.query` into order criterias.
+ *
+ * @param {object} query
+ * @returns {{ statuses: string[], email?: string, from?: string, to?: string, page: number, limit?: number }}
+ */
+const parseQuery = (query) => {
+  const statuses = [].concat(query.status || []).join(',').split(',').filter(Boolean);
+  const unknown = statuses.find(status => !STATUSES.includes(status));
+  if (unknown) {
+    throw new QueryError('Invalid status: ' + unknown);
+  }
+  return {
+    statuses: statuses,
+    email: query.email ? String(query.email).toLowerCase() : undefined,
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to'),
+    ...parsePagination(query)
+  };
+};
+
+/**
+ * Filter and paginate orders, newest first.
+ *
+ * @param {object[]} orders
+ * @param {object} criterias As returned by `parseQuery`
+ * @returns {{ orders: object[], total: number, page: number, limit?: number }}
+ */
+const queryOrders = (orders, criterias) => {
+  const results = orders
+    .filter(order =>
+      (!criterias.statuses.length || criterias.statuses.includes(statusOf(order))) &&
+      (!criterias.email || order.contact.email.toLowerCase().includes(criterias.email)) &&
+      (!criterias.from || order.createdAt >= criterias.from) &&
+      (!criterias.to || order.createdAt <= criterias.to)
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const { items, ...page } = paginate(results, criterias);
+  return { orders: items, ...page };
+};
+
+module.exports = {
+  parseQuery,
+  queryOrders
+};
@@ -0,0 +1,167 @@
+const Product = require('../models/Product');
+const shipping = require('./shipping');
+const variants = require('./variants');
+
+const NAME_PATTERN = /^\p{L}+(?:[ '’-]\p{L}+)*$/u;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_LENGTH = 100;
+
+/**
+ * Contact shape, mirroring `Contact` in `front/types.d.ts`.
+ * Each rule receives the trimmed value and returns an error or nothing.
+ */
+const CONTACT_RULES = {
+  firstName: value => NAME_PATTERN.test(value) ? null : { code: 'invalid_format', message: 'must only contain letters, spaces, hyphens or apostrophes' },
+  lastName: value => NAME_PATTERN.test(value) ? null : { code: 'invalid_format', message: 'must only contain letters, spaces, hyphens or apostrophes' },
+  address: () => null,
+  city: () => null,
+  email: value => EMAIL_PATTERN.test(value) ? null : { code: 'invalid_format', message: 'must be a valid email address' }
+};
+
+const fieldError = (field, code, message) => ({ field: field, code: code, message: message });
+
+/**
+ * Validate contact fields.
+ *
+ * @param {any} contact
+ * @returns {{ field: string, code: string, message: string }[]}
+ */
+const validateContact = (contact) => {
+  if (!contact || typeof contact !== 'object' || Array.isArray(contact)) {
+    return [fieldError('contact', 'required', 'is required')];
+  }
+  return Object.keys(CONTACT_RULES).map((field) => {
+    const value = contact[field];
+    if (typeof value !== 'string' || value.trim() === '') {
+      return fieldError('contact.' + field, 'required', 'is required');
+    }
+    if (value.trim().length > MAX_LENGTH) {
+      return fieldError('contact.' + field, 'too_long', 'must be at most ' + MAX_LENGTH + ' characters');
+    }
+    const error = CONTACT_RULES[field](value.trim());
+    return error && fieldError('contact.' + field, error.code, error.message);
+  }).filter(Boolean);
+};
+
+/**
+ * Validate order lines against the catalog.
+ *
+ * @param {any} lines
+ * @returns {Promise<{ field: string, code: string, message: string }[]>}
+ */
+const validateLines = (lines) => {
+  if (!Array.isArray(lines) || !lines.length) {
+    return Promise.resolve([fieldError('products', 'required', 'must be a non-empty array')]);
+  }
+  return Product.find().then(products => lines.flatMap((line, i) => {
+    const field = 'products[' + i + ']';
+    if (!line || typeof line !== 'object') {
+      return [fieldError(field, 'invalid', 'must be an object')];
+    }
+    const errors = [];
+    const product = products.find(product => product._id === line.productId);
+    if (!product) {
+      errors.push(fieldError(field + '.productId', 'unknown_product', 'is not a known product'));
+    } else if (typeof line.sku === 'string' || line.color === undefined) {
+      if (!variants.findVariant(product, { sku: line.sku })) {
+        errors.push(fieldError(field + '.sku', 'unknown_sku', 'must be one of ' + variants.variantsOf(product).map(variant => variant.sku).join(', ')));
+      }
+    } else if (!variants.findVariant(product, { color: line.color })) {
+      // lines sent before variants existed
+      errors.push(fieldError(field + '.color', 'unknown_color', 'must be one of ' + variants.variantsOf(product).map(variant => variant.color).join(', ')));
+    }
+    if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+      errors.push(fieldError(field + '.quantity', 'invalid_quantity', 'must be a positive integer'));
+    }
+    return errors;
+  }));
+};
+
+/**
+ * Validate shipping destination and method, the method is checked against
+ * the destination when applied.
+ *
+ * @param {any} value
+ * @returns {{ field: string, code: string, message: string }[]}
+ */
+const validateShipping = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [fieldError('shipping', 'required', 'is required')];
+  }
+  const errors = [];
+  if (typeof value.country !== 'string' || !shipping.POSTAL_CODE_PATTERNS[value.country]) {
+    errors.push(fieldError('shipping.country', 'unknown_country', 'must be one of ' + Object.keys(shipping.POSTAL_CODE_PATTERNS).join(', ')));
+  }
+  if (typeof value.postalCode !== 'string' || value.postalCode.trim() === '') {
+    errors.push(fieldError('shipping.postalCode', 'required', 'is required'));
+  } else if (!errors.length && !shipping.isValidPostalCode(value.country, value.postalCode.trim())) {
+    errors.push(fieldError('shipping.postalCode', 'invalid_format', 'must be a valid postal code of ' + value.country));
+  }
+  if (typeof value.method !== 'string' || value.method.trim() === '') {
+    errors.push(fieldError('shipping.method', 'required', 'is required'));
+  }
+  return errors;
+};
+
+/**
+ * Validate the optional promo code field, its rules are checked when applied.
+ *
+ * @param {any} promoCode
+ * @returns {{ field: string, code: string, message: string }[]}
+ */
+const validatePromoCode = (promoCode) => {
+  if (promoCode === undefined || promoCode === null) {
+    return [];
+  }
+  if (typeof promoCode !== 'string' || promoCode.trim() === '' || promoCode.length > MAX_LENGTH) {
+    return [fieldError('promoCode', 'invalid', 'must be a non-empty string')];
+  }
+  return [];
+};
+
+/**
+ * Validate an order payload.
+ *
+ * @param {any} body
+ * @returns {Promise<{ field: string, code: string, message: string }[]>} Empty when valid
+ */
+const validateOrder = (body) => {
+  return validateLines(body.products).then(
+    (errors) => [...validateContact(body.contact), ...errors, ...validateShipping(body.shipping), ...validatePromoCode(body.promoCode)]
+  );
+};
+
+/**
+ * Keep shipping fields from a validated shipping.
+ *
+ * @param {object} value
+ * @returns {{ method: string, country: string, postalCode: string }}
+ */
+const pickShipping = (value) => {
+  return {
+    method: value.method.trim(),
+    country: value.country,
+    postalCode: value.postalCode.trim()
+  };
+};
+
+/**
+ * Keep trimmed contact fields from a validated contact.
+ *
+ * @param {object} contact
+ * @returns {object}
+ */
+const pickContact = (contact) => {
+  return Object.keys(CONTACT_RULES)
+    .reduce((picked, field) => ({ ...picked, [field]: contact[field].trim() }), {});
+};
+
+module.exports = {
+  validateContact,
+  validateLines,
+  validateShipping,
+  validatePromoCode,
+  validateOrder,
+  pickShipping,
+  pickContact
+};
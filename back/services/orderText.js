@@ -0,0 +1,75 @@
+const { LANGUAGES } = require('./locale');
+const { CURRENCY } = require('./pricing');
+
+/**
+ * Texts shared by documents about an order, its confirmation mail and
+ * invoice, by language. `{name}` placeholders are replaced by params.
+ */
+const MESSAGES = {
+  fr: {
+    discount: 'Réduction {code}',
+    shippingFree: 'Offerte',
+    totalExclTax: 'Total HT',
+    tax: 'TVA ({rate} %)',
+    total: 'Total TTC'
+  },
+  en: {
+    discount: 'Discount {code}',
+    shippingFree: 'Free',
+    totalExclTax: 'Total excl. VAT',
+    tax: 'VAT ({rate}%)',
+    total: 'Total incl. VAT'
+  }
+};
+
+/**
+ * Formatters of a document about an order, in the language it was placed in.
+ *
+ * @param {object} order
+ * @param {{ [lang: string]: { [key: string]: string } }} messages Texts of the document by language, completing shared ones
+ * @returns {{ lang: string, t: (key: string, params?: object) => string, money: (amount: number) => string, date: (value: string) => string }}
+ */
+const formatterOf = (order, messages) => {
+  const lang = LANGUAGES.includes(order.lang) ? order.lang : LANGUAGES[0];
+  const texts = { ...MESSAGES[lang], ...messages[lang] };
+  const moneyFormat = new Intl.NumberFormat(lang, { style: 'currency', currency: order.currency || CURRENCY });
+
+  return {
+    lang: lang,
+    t: (key, params = {}) => texts[key].replace(/\{(\w+)\}/g, (match, name) => params[name]),
+    money: amount => moneyFormat.format(amount),
+    date: value => new Date(value).toLocaleDateString(lang, { dateStyle: 'long' })
+  };
+};
+
+/**
+ * Rows following the lines of an order, from discount to total: label and
+ * formatted amount.
+ *
+ * @param {object} order
+ * @param {{ lang: string, t: Function, money: Function }} format See `formatterOf`
+ * @returns {string[][]}
+ */
+const totalRows = (order, { lang, t, money }) => {
+  const rows = [];
+
+  if (order.promotion) {
+    rows.push([t('discount', { code: order.promotion.code }), '-' + money(order.discount)]);
+  }
+  if (order.shipping) {
+    rows.push([order.shipping.name, order.shipping.cost ? money(order.shipping.cost) : t('shippingFree')]);
+  }
+  // orders placed before VAT breakdown have no tax
+  if (order.tax) {
+    rows.push([t('totalExclTax'), money(order.tax.totalExclTax)]);
+    rows.push([t('tax', { rate: order.tax.rate.toLocaleString(lang) }), money(order.tax.totalTax)]);
+  }
+  rows.push([t('total'), money(order.total)]);
+
+  return rows;
+};
+
+module.exports = {
+  formatterOf,
+  totalRows
+};
@@ -0,0 +1,70 @@
+const { ApiError } = require('../errors');
+
+const MAX_LIMIT = 100;
+
+/**
+ * Raised when query parameters can't be understood.
+ */
+class QueryError extends ApiError {
+  constructor (message) {
+    super(400, 'INVALID_QUERY', message);
+  }
+}
+
+/**
+ * Read a positive integer parameter.
+ *
+ * @param {any} value
+ * @param {string} name Parameter name, for the error message
+ * @param {number} max
+ * @returns {number|undefined} `undefined` when the parameter is missing
+ */
+const parseInteger = (value, name, max = Infinity) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new QueryError('Invalid ' + name + ': ' + value);
+  }
+  return number;
+};
+
+/**
+ * Parse `page` and `limit` query parameters.
+ *
+ * @param {object} query
+ * @returns {{ page: number, limit?: number }}
+ */
+const parsePagination = (query) => {
+  const limit = parseInteger(query.limit, 'limit', MAX_LIMIT);
+  const page = parseInteger(query.page, 'page') || 1;
+  // without limit everything is on the first page
+  if (page > 1 && !limit) {
+    throw new QueryError('Invalid page without limit: ' + page);
+  }
+  return { page: page, limit: limit };
+};
+
+/**
+ * Items of a page, with the count of every item.
+ *
+ * @param {any[]} items
+ * @param {{ page: number, limit?: number }} pagination As returned by `parsePagination`
+ * @returns {{ items: any[], total: number, page: number, limit?: number }}
+ */
+const paginate = (items, { page, limit }) => {
+  const start = (page - 1) * limit;
+  return {
+    items: limit ? items.slice(start, start + limit) : items,
+    total: items.length,
+    page: page,
+    limit: limit
+  };
+};
+
+module.exports = {
+  QueryError,
+  parsePagination,
+  paginate
+};
@@ -0,0 +1,321 @@
+const uuidv4 = require('uuid/v4');
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const provider = require('../payments');
+const lifecycle = require('./orderLifecycle');
+const createLock = require('./lock');
+const { ApiError } = require('../errors');
+
+/**
+ * Payment statuses:
+ * - `requires_payment_method`: waiting for a card, again after a decline
+ * - `processing`: outcome will be notified by the provider
+ * - `succeeded`, `refunded`
+ * - `cancelled`: its order was given up before being paid
+ * - `expired`: the provider doesn't know it anymore, a new one is started
+ */
+const OPEN_STATUSES = ['requires_payment_method', 'processing'];
+
+/** Where the provider notifies delayed outcomes, never taken from requests. */
+const WEBHOOK_URL = process.env.PAYMENT_WEBHOOK_URL || 'http://localhost:' + (process.env.PORT || 3000) + '/api/payments/webhook';
+
+/** Time given to pay a pending order before it is cancelled, in seconds. */
+const PAYMENT_TTL = Number(process.env.ORDER_PAYMENT_TTL) || 30 * 60;
+
+/** Order changes made on payment outcomes. */
+const PAYMENT_CHANGE = { by: 'system', author: 'payment' };
+
+const withLock = createLock();
+
+/**
+ * Raised when the provider declines a payment method.
+ */
+class PaymentError extends ApiError {
+  constructor (reason) {
+    super(402, 'PAYMENT_DECLINED', 'Payment declined: ' + reason, { reason: reason });
+  }
+}
+
+/**
+ * Answer provider failures as a bad gateway, the error itself is only logged.
+ *
+ * @param {Error} error
+ * @returns {Promise} Rejected with an `ApiError`
+ */
+const providerFailure = (error) => {
+  if (error instanceof ApiError) {
+    return Promise.reject(error);
+  }
+  console.error('Payment provider failed:', error);
+  return Promise.reject(new ApiError(502, 'PAYMENT_PROVIDER_ERROR', 'Payment provider failed!'));
+};
+
+/**
+ * Payment as sent to clients, without provider references.
+ *
+ * @param {object} payment
+ * @returns {object}
+ */
+const publicPayment = (payment) => {
+  const { reference, refund, ...rest } = payment;
+  return rest;
+};
+
+const findPayment = (predicate) => {
+  return Payment.find().then(payments => payments.find(predicate) || null);
+};
+
+/**
+ * Record the outcome of a payment, orders are paid once it succeeds.
+ *
+ * @param {object} payment
+ * @param {string} status `succeeded` or `declined`
+ * @param {string|null} reason Why it was declined
+ * @returns {Promise<object>} Updated payment
+ */
+const settle = (payment, status, reason = null) => {
+  const now = new Date().toISOString();
+
+  if (status !== 'succeeded') {
+    return Payment.update(payment.paymentId, { status: 'requires_payment_method', reason: reason || 'declined', updatedAt: now });
+  }
+  return Payment.update(payment.paymentId, { status: 'succeeded', reason: null, updatedAt: now }).then(
+    (updated) => lifecycle.transition(payment.orderId, 'paid', { ...PAYMENT_CHANGE, note: 'Payment ' + payment.paymentId }).then(
+      () => updated,
+      (error) => {
+        // e.g. order cancelled meanwhile, money must be given back by hand
+        console.error('Order ' + payment.orderId + ' not marked paid by payment ' + payment.paymentId + ':', error);
+        return updated;
+      }
+    )
+  );
+};
+
+/**
+ * Start paying an order, or resume its payment in progress.
+ *
+ * @param {string} orderId
+ * @returns {Promise<object|null>} `null` if the order doesn't exist
+ */
+const createPayment = (orderId) => {
+  return withLock(() => Order.findById(orderId).then(
+    (order) => {
+      if (!order) {
+        return null;
+      }
+      const status = lifecycle.statusOf(order);
+      if (status !== 'pending') {
+        throw new ApiError(409, 'ORDER_NOT_PAYABLE', 'Order is ' + status + '!', { status: status });
+      }
+      return findPayment(payment => payment.orderId === orderId && OPEN_STATUSES.includes(payment.status)).then(
+        (payment) => payment || provider.createIntent({ amount: order.total, currency: order.currency, webhookUrl: WEBHOOK_URL }).catch(providerFailure).then(
+          (reference) => {
+            const now = new Date().toISOString();
+            return Payment.create({
+              paymentId: uuidv4().replace(/-/g, ''),
+              orderId: orderId,
+              provider: provider.name,
+              reference: reference,
+              amount: order.total,
+              currency: order.currency,
+              status: 'requires_payment_method',
+              reason: null,
+              createdAt: now,
+              updatedAt: now
+            });
+          }
+        )
+      );
+    }
+  ));
+};
+
+/**
+ * Charge a payment method, rejects with a `PaymentError` when declined.
+ * Only payments of pending orders are charged.
+ *
+ * @param {string} paymentId
+ * @param {{ card: { number: string, expiry: string, cvc: string } }} method
+ * @returns {Promise<object|null>} Payment `succeeded` or `processing`, `null` if it doesn't exist
+ */
+const confirmPayment = (paymentId, method) => {
+  return withLock(() => Payment.findById(paymentId).then(
+    (payment) => payment ? Order.findById(payment.orderId).then(order => [payment, order]) : [null, null]
+  ).then(
+    ([payment, order]) => {
+      if (!payment) {
+        return null;
+      }
+      if (payment.status !== 'requires_payment_method') {
+        throw new ApiError(409, 'PAYMENT_NOT_CONFIRMABLE', 'Payment is ' + payment.status + '!', { status: payment.status });
+      }
+      // e.g. cancelled by an administrator, its card mustn't be charged
+      const status = lifecycle.statusOf(order);
+      if (status !== 'pending') {
+        throw new ApiError(409, 'ORDER_NOT_PAYABLE', 'Order is ' + status + '!', { status: status });
+      }
+      return provider.confirmIntent(payment.reference, method).then(
+        (outcome) => {
+          if (outcome.status === 'processing') {
+            return Payment.update(paymentId, { status: 'processing', reason: null, updatedAt: new Date().toISOString() });
+          }
+          return settle(payment, outcome.status, outcome.reason).then((updated) => {
+            if (updated.status !== 'succeeded') {
+              throw new PaymentError(updated.reason);
+            }
+            return updated;
+          });
+        },
+        (error) => {
+          if (error.code !== 'intent_not_found') {
+            return providerFailure(error);
+          }
+          // the order can still be paid with a new payment
+          return Payment.update(paymentId, { status: 'expired', reason: null, updatedAt: new Date().toISOString() }).then(() => {
+            throw new ApiError(409, 'PAYMENT_EXPIRED', 'Payment has expired, start a new one!');
+          });
+        }
+      );
+    }
+  ));
+};
+
+/**
+ * Apply an outcome notified by the provider. Notifications of payments
+ * already settled are ignored, providers may send them more than once.
+ *
+ * @param {Buffer} rawBody
+ * @param {object} headers
+ * @returns {Promise<object|null>} `null` if no payment matches
+ */
+const handleWebhook = (rawBody, headers) => {
+  let event;
+  try {
+    event = provider.parseWebhook(rawBody, headers);
+  } catch (error) {
+    event = null;
+  }
+  if (!event) {
+    return Promise.reject(new ApiError(401, 'INVALID_SIGNATURE', 'Invalid webhook signature!'));
+  }
+  return withLock(() => findPayment(payment => payment.provider === provider.name && payment.reference === event.reference).then(
+    (payment) => {
+      if (!payment || payment.status !== 'processing') {
+        return payment;
+      }
+      return settle(payment, event.status, event.status === 'succeeded' ? null : 'declined');
+    }
+  ));
+};
+
+/**
+ * Cancel a pending order and its open payments, giving its stock back.
+ * Orders whose payment outcome is awaited can't be cancelled, they may be
+ * paid meanwhile. Expects the payment lock to be held.
+ *
+ * @param {object} order
+ * @param {{ by: string, author?: string, note?: string }} change
+ * @returns {Promise<object>} Cancelled order
+ */
+const cancelUnpaid = (order, change) => {
+  const status = lifecycle.statusOf(order);
+  if (status !== 'pending') {
+    throw new ApiError(409, 'ORDER_NOT_CANCELLABLE', 'Order is ' + status + ', only pending orders are cancelled!', { status: status });
+  }
+  return Payment.find().then(
+    (payments) => {
+      const open = payments.filter(payment => payment.orderId === order.orderId && OPEN_STATUSES.includes(payment.status));
+      if (open.some(payment => payment.status === 'processing')) {
+        throw new ApiError(409, 'PAYMENT_IN_PROGRESS', 'Payment of order is in progress!');
+      }
+      const now = new Date().toISOString();
+      return Promise.all(open.map(payment => Payment.update(payment.paymentId, { status: 'cancelled', updatedAt: now })));
+    }
+  ).then(
+    () => lifecycle.transition(order.orderId, 'cancelled', change)
+  );
+};
+
+/**
+ * Give up paying an order, on customer or administrator request.
+ *
+ * @param {string} orderId
+ * @param {{ by: string, author?: string, note?: string }} change
+ * @returns {Promise<object|null>} Cancelled order, `null` if it doesn't exist
+ */
+const cancelOrder = (orderId, change) => {
+  return withLock(() => Order.findById(orderId).then(
+    (order) => order && cancelUnpaid(order, change)
+  ));
+};
+
+/**
+ * Cancel pending orders not paid in time, so their stock can be ordered
+ * again. Orders whose payment outcome is awaited are kept.
+ *
+ * @param {Date} now
+ * @returns {Promise<object[]>} Cancelled orders
+ */
+const expireUnpaidOrders = (now = new Date()) => {
+  const deadline = now.getTime() - PAYMENT_TTL * 1000;
+
+  return withLock(() => Order.find().then(
+    (orders) => orders
+      .filter(order => lifecycle.statusOf(order) === 'pending' && new Date(order.createdAt).getTime() <= deadline)
+      .reduce((previous, order) => previous.then(
+        (cancelled) => cancelUnpaid(order, { by: 'system', author: 'expiry', note: 'Not paid within ' + PAYMENT_TTL + ' seconds' }).then(
+          (updated) => cancelled.concat(updated),
+          (error) => {
+            if (error instanceof ApiError && error.code === 'PAYMENT_IN_PROGRESS') {
+              return cancelled;
+            }
+            throw error;
+          }
+        )
+      ), Promise.resolve([]))
+  ));
+};
+
+/**
+ * Refund an order, through the provider when it was paid online.
+ *
+ * @param {string} orderId
+ * @param {{ by: string, author?: string, note?: string }} change
+ * @returns {Promise<object|null>} Refunded order, `null` if it doesn't exist
+ */
+const refundOrder = (orderId, change) => {
+  return withLock(() => Order.findById(orderId).then(
+    (order) => {
+      if (!order) {
+        return null;
+      }
+      const status = lifecycle.statusOf(order);
+      // check before money is given back
+      if (!lifecycle.TRANSITIONS[status].includes('refunded')) {
+        throw new lifecycle.TransitionError(status, 'refunded');
+      }
+      return findPayment(payment => payment.orderId === orderId && payment.status === 'succeeded').then(
+        (payment) => payment && provider.refund(payment.reference, payment.amount).catch(providerFailure).then(
+          (reference) => Payment.update(payment.paymentId, {
+            status: 'refunded',
+            refund: { reference: reference, amount: payment.amount, at: new Date().toISOString() },
+            updatedAt: new Date().toISOString()
+          })
+        )
+      ).then(
+        () => lifecycle.transition(orderId, 'refunded', change)
+      );
+    }
+  ));
+};
+
+module.exports = {
+  PaymentError,
+  publicPayment,
+  createPayment,
+  confirmPayment,
+  handleWebhook,
+  cancelOrder,
+  expireUnpaidOrders,
+  refundOrder
+};
@@ -0,0 +1,104 @@
+const Product = require('../models/Product');
+const locale = require('./locale');
+const variants = require('./variants');
+const { ApiError } = require('../errors');
+
+/** Currency every catalog price is expressed in. */
+const CURRENCY = 'EUR';
+
+/**
+ * Raised when the lines sent by a client can't be priced (unknown product,
+ * unknown variant...), as opposed to a storage failure.
+ */
+class PricingError extends ApiError {
+  constructor (message) {
+    super(400, 'INVALID_ORDER_LINE', message);
+  }
+}
+
+/**
+ * Check a line has the `{ productId, sku, quantity }` shape, lines sent
+ * before variants existed have a `color` instead of `sku`.
+ *
+ * @param {object} line
+ * @returns {boolean}
+ */
+const isValidLine = (line) => {
+  return !!line &&
+    typeof line.productId === 'string' &&
+    (typeof line.sku === 'string' || (line.sku === undefined && typeof line.color === 'string')) &&
+    Number.isInteger(line.quantity) &&
+    line.quantity > 0;
+};
+
+/**
+ * Price a single line against the catalog.
+ *
+ * @param {{ productId: string, sku?: string, color?: string, quantity: number }} line
+ * @param {string} language Language of product texts
+ * @returns {Promise<object>} The priced line
+ */
+const priceLine = (line, language) => {
+  return Product.findById(line.productId).then(
+    (product) => product && locale.localizeProduct(product, language)
+  ).then(
+    (product) => {
+      if (!product) {
+        throw new PricingError('Product not found: ' + line.productId);
+      }
+      const variant = variants.findVariant(product, line);
+      if (!variant) {
+        throw new PricingError('Unknown variant for product ' + line.productId + ': ' + (line.sku || line.color));
+      }
+      const { sku, color, price, imageUrl } = variants.resolveVariant(product, variant);
+      return {
+        productId: product._id,
+        sku: sku,
+        name: product.name,
+        color: color,
+        quantity: line.quantity,
+        price: price,
+        subtotal: price * line.quantity,
+        imageUrl: imageUrl,
+        altTxt: product.altTxt
+      };
+    }
+  );
+};
+
+/**
+ * Price every line and compute the totals. Amounts are expressed in
+ * `currency` units, the same unit as catalog prices.
+ * `discount`, `promotion` and `shipping` are left empty, see `checkout.quote`.
+ *
+ * @param {object[]} lines
+ * @param {string} [language] Language of product texts
+ * @returns {Promise<{ currency: string, products: object[], totalQuantity: number, subtotal: number, discount: number, promotion: object | null, shipping: object | null, total: number }>}
+ */
+const priceLines = (lines, language = locale.DEFAULT_LANGUAGE) => {
+  if (!Array.isArray(lines) || !lines.length || !lines.every(isValidLine)) {
+    return Promise.reject(new PricingError('Invalid order lines!'));
+  }
+  return Promise.all(lines.map(line => priceLine(line, language))).then(
+    (products) => {
+      const subtotal = products.reduce((total, line) => total + line.subtotal, 0);
+      return {
+        currency: CURRENCY,
+        products: products,
+        totalQuantity: products.reduce((total, line) => total + line.quantity, 0),
+        subtotal: subtotal,
+        discount: 0,
+        promotion: null,
+        shipping: null,
+        total: subtotal
+      };
+    }
+  );
+};
+
+module.exports = {
+  CURRENCY,
+  PricingError,
+  isValidLine,
+  priceLines
+};
@@ -0,0 +1,114 @@
+const locale = require('./locale');
+
+/**
+ * Product shape, mirroring `Product` in `front/types.d.ts`.
+ * Each rule returns an error message or nothing when the value is valid.
+ * Rules receive the whole payload to check fields against each other.
+ */
+const RULES = {
+  name: value => isText(value) ? null : 'must be a non-empty string',
+  price: value => Number.isInteger(value) && value >= 0 ? null : 'must be a positive integer',
+  imageUrl: value => isText(value) ? null : 'must be a non-empty string',
+  description: value => typeof value === 'string' ? null : 'must be a string',
+  altTxt: value => typeof value === 'string' ? null : 'must be a string',
+  variants: (value) => {
+    if (!Array.isArray(value) || !value.length) {
+      return 'must be a non-empty array';
+    }
+    const index = value.findIndex(variant => validateVariant(variant));
+    if (index !== -1) {
+      return '[' + index + '] ' + validateVariant(value[index]);
+    }
+    if (new Set(value.map(variant => variant.sku)).size !== value.length) {
+      return 'must have distinct skus';
+    }
+    return new Set(value.map(variant => variant.color)).size === value.length ? null : 'must have distinct colors';
+  },
+  translations: (value) => {
+    const languages = locale.LANGUAGES.filter(language => language !== locale.DEFAULT_LANGUAGE);
+    const isTranslation = translation => !!translation && typeof translation === 'object' && !Array.isArray(translation) &&
+      Object.keys(translation).every(field => locale.TRANSLATED_FIELDS.includes(field) && isText(translation[field]));
+    return value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).every(language => languages.includes(language) && isTranslation(value[language]))
+      ? null
+      : 'must map ' + languages.join(', ') + ' to ' + locale.TRANSLATED_FIELDS.join(', ') + ' texts';
+  }
+};
+
+/**
+ * Variant shape, `price` and `imageUrl` default to the product ones and
+ * variants without `stock` are not tracked.
+ */
+const VARIANT_RULES = {
+  sku: value => isText(value) ? null : 'must be a non-empty string',
+  color: value => isText(value) ? null : 'must be a non-empty string',
+  price: value => value === undefined || (Number.isInteger(value) && value >= 0) ? null : 'must be a positive integer',
+  imageUrl: value => value === undefined || isText(value) ? null : 'must be a non-empty string',
+  stock: value => value === undefined || (Number.isInteger(value) && value >= 0) ? null : 'must be a positive integer'
+};
+
+/**
+ * Fields which may be omitted, products without `translations` are only in
+ * the default language.
+ */
+const OPTIONAL = ['translations'];
+
+const isText = (value) => {
+  return typeof value === 'string' && value.trim() !== '';
+};
+
+/**
+ * @param {any} variant
+ * @returns {string|null} Error message, e.g. `sku must be a non-empty string`
+ */
+const validateVariant = (variant) => {
+  if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+    return 'must be an object';
+  }
+  const unknown = Object.keys(variant).find(field => !VARIANT_RULES[field]);
+  if (unknown) {
+    return unknown + ' is not allowed';
+  }
+  const field = Object.keys(VARIANT_RULES).find(name => VARIANT_RULES[name](variant[name]));
+  return field ? field + ' ' + VARIANT_RULES[field](variant[field]) : null;
+};
+
+/**
+ * Validate a product payload.
+ *
+ * @param {object} data
+ * @param {{ partial?: boolean }} options `partial` only validates given fields (PATCH)
+ * @returns {{ field: string, message: string }[]} Empty when valid
+ */
+const validateProduct = (data, { partial = false } = {}) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ field: '', message: 'must be an object' }];
+  }
+  const unknown = Object.keys(data)
+    .filter(field => !RULES[field] && field !== '_id')
+    .map(field => ({ field: field, message: 'is not allowed' }));
+
+  const invalid = Object.keys(RULES)
+    .filter(field => (!partial && !OPTIONAL.includes(field)) || data[field] !== undefined)
+    .map(field => ({ field: field, message: data[field] === undefined ? 'is required' : RULES[field](data[field], data) }))
+    .filter(error => error.message);
+
+  return [...unknown, ...invalid];
+};
+
+/**
+ * Keep only product fields from a validated payload.
+ *
+ * @param {object} data
+ * @returns {object}
+ */
+const pickProduct = (data) => {
+  return Object.keys(RULES)
+    .filter(field => data[field] !== undefined)
+    .reduce((product, field) => ({ ...product, [field]: data[field] }), {});
+};
+
+module.exports = {
+  validateProduct,
+  pickProduct
+};
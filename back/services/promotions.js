@@ -0,0 +1,132 @@
+const Promotion = require('../models/Promotion');
+const { ApiError } = require('../errors');
+const createLock = require('./lock');
+const money = require('./money');
+const pricing = require('./pricing');
+
+/**
+ * Raised when a promo code can't be applied, `details.reason` tells why.
+ */
+class PromotionError extends ApiError {
+  constructor (reason, message) {
+    super(400, 'INVALID_PROMO_CODE', message, { reason: reason });
+  }
+}
+
+// usage counters are updated one at a time so limits can't be exceeded
+const withLock = createLock();
+
+const normalizeCode = (code) => {
+  return String(code).trim().toUpperCase();
+};
+
+/**
+ * Whether a priced line is concerned by the promotion.
+ *
+ * @param {{ productIds?: string[], colors?: string[] } | null} scope
+ * @param {{ productId: string, color: string }} line
+ * @returns {boolean}
+ */
+const inScope = (scope, line) => {
+  return !scope || (
+    (!scope.productIds || scope.productIds.includes(line.productId)) &&
+    (!scope.colors || scope.colors.includes(line.color))
+  );
+};
+
+/**
+ * Check a promotion applies to a quote and compute its discount.
+ *
+ * @param {object | undefined} promotion
+ * @param {{ subtotal: number, products: object[] }} quote
+ * @param {Date} now
+ * @returns {number} Discount, never more than concerned lines' subtotal
+ */
+const computeDiscount = (promotion, quote, now = new Date()) => {
+  if (!promotion) {
+    throw new PromotionError('unknown', 'Unknown promo code!');
+  }
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) {
+    throw new PromotionError('not_started', 'Promo code is not active yet!');
+  }
+  if (promotion.expiresAt && now >= new Date(promotion.expiresAt)) {
+    throw new PromotionError('expired', 'Promo code has expired!');
+  }
+  if (promotion.maxUses !== null && promotion.maxUses !== undefined && (promotion.uses || 0) >= promotion.maxUses) {
+    throw new PromotionError('usage_limit_reached', 'Promo code is no longer available!');
+  }
+  if (promotion.minBasket && quote.subtotal < promotion.minBasket) {
+    throw new PromotionError('minimum_not_reached', 'Promo code requires a minimum basket of ' + promotion.minBasket + '!');
+  }
+  const eligibleSubtotal = quote.products
+    .filter(line => inScope(promotion.scope, line))
+    .reduce((total, line) => total + line.subtotal, 0);
+  if (!eligibleSubtotal) {
+    throw new PromotionError('not_applicable', 'Promo code does not apply to these products!');
+  }
+  if (promotion.type === 'percentage') {
+    return money.roundAmount(eligibleSubtotal * promotion.value / 100, pricing.CURRENCY);
+  }
+  return Math.min(promotion.value, eligibleSubtotal);
+};
+
+/**
+ * Apply a promo code to a quote.
+ *
+ * @param {object} quote As returned by `pricing.priceLines`
+ * @param {string} code
+ * @returns {Promise<object>} Quote with `discount`, `promotion` and discounted `total`
+ */
+const applyPromotion = (quote, code) => {
+  return Promotion.findById(normalizeCode(code)).then(
+    (promotion) => {
+      const discount = computeDiscount(promotion, quote);
+      return {
+        ...quote,
+        discount: discount,
+        promotion: { code: promotion.code, description: promotion.description },
+        total: money.fromMinor(money.toMinor(quote.subtotal, pricing.CURRENCY) - money.toMinor(discount, pricing.CURRENCY), pricing.CURRENCY)
+      };
+    }
+  );
+};
+
+/**
+ * Count a use of a promo code, rejects when its usage limit is reached.
+ *
+ * @param {string} code
+ * @returns {Promise}
+ */
+const redeem = (code) => {
+  return withLock(() => Promotion.findById(normalizeCode(code)).then(
+    (promotion) => {
+      if (!promotion) {
+        throw new PromotionError('unknown', 'Unknown promo code!');
+      }
+      if (promotion.maxUses !== null && promotion.maxUses !== undefined && (promotion.uses || 0) >= promotion.maxUses) {
+        throw new PromotionError('usage_limit_reached', 'Promo code is no longer available!');
+      }
+      return Promotion.update(promotion.code, { uses: (promotion.uses || 0) + 1 });
+    }
+  ));
+};
+
+/**
+ * Give back a use counted by `redeem`, e.g. when an order can't be saved.
+ *
+ * @param {string} code
+ * @returns {Promise}
+ */
+const release = (code) => {
+  return withLock(() => Promotion.findById(normalizeCode(code)).then(
+    (promotion) => promotion && Promotion.update(promotion.code, { uses: Math.max(0, (promotion.uses || 0) - 1) })
+  ));
+};
+
+module.exports = {
+  PromotionError,
+  computeDiscount,
+  applyPromotion,
+  redeem,
+  release
+};
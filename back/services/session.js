@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+const TOKEN_TTL = Number(process.env.SESSION_TTL) || 7 * 24 * 60 * 60; // seconds
+
+if (!process.env.SESSION_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('SESSION_SECRET must be set in production.');
+}
+
+// without a configured secret, sessions don't survive a restart
+const SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set, sessions will be lost on restart.');
+}
+
+const SCRYPT_KEYLEN = 64;
+
+/** Checked instead of a missing hash, so checks always take as long. */
+const DUMMY_HASH = crypto.randomBytes(16).toString('hex') + ':' + Buffer.alloc(SCRYPT_KEYLEN).toString('hex');
+
+/**
+ * Hash a password with a random salt, as `<salt>:<hash>`.
+ *
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, hash) => {
+      return error ? reject(error) : resolve(salt + ':' + hash.toString('hex'));
+    });
+  });
+};
+
+/**
+ * Check a password against a hash made by `hashPassword`. Without hash,
+ * e.g. for an unknown email, the same work is done before answering `false`.
+ *
+ * @param {string} password
+ * @param {string|null} stored
+ * @returns {Promise<boolean>}
+ */
+const verifyPassword = (password, stored) => {
+  const [salt, hash] = (stored || DUMMY_HASH).split(':');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, candidate) => {
+      return error ? reject(error) : resolve(crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex')) && !!stored);
+    });
+  });
+};
+
+const sign = (payload) => {
+  return crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+};
+
+/**
+ * Create a signed session token for a user, as `<payload>.<signature>`.
+ *
+ * @param {string} userId
+ * @returns {string}
+ */
+const createToken = (userId) => {
+  const payload = Buffer.from(JSON.stringify({
+    sub: userId,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL
+  })).toString('base64url');
+  return payload + '.' + sign(payload);
+};
+
+/**
+ * Read the user id from a token made by `createToken`.
+ *
+ * @param {string} token
+ * @returns {string | null} `null` when token is forged or expired
+ */
+const verifyToken = (token) => {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return exp > Date.now() / 1000 ? sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken
+};
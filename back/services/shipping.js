@@ -0,0 +1,125 @@
+const ShippingMethod = require('../models/ShippingMethod');
+const money = require('./money');
+const pricing = require('./pricing');
+const { ApiError } = require('../errors');
+
+/** Countries delivered, with the format of their postal codes. */
+const POSTAL_CODE_PATTERNS = {
+  FR: /^\d{5}$/,
+  BE: /^\d{4}$/,
+  LU: /^\d{4}$/,
+  CH: /^\d{4}$/
+};
+
+/**
+ * Raised when a shipping method can't deliver the given destination.
+ */
+class ShippingError extends ApiError {
+  constructor (message) {
+    super(400, 'SHIPPING_UNAVAILABLE', message);
+  }
+}
+
+/**
+ * Whether `postalCode` is a valid postal code of `country`.
+ *
+ * @param {string} country
+ * @param {string} postalCode
+ * @returns {boolean}
+ */
+const isValidPostalCode = (country, postalCode) => {
+  return !!POSTAL_CODE_PATTERNS[country] && POSTAL_CODE_PATTERNS[country].test(postalCode);
+};
+
+/**
+ * Whether a method delivers a destination.
+ *
+ * @param {object} method
+ * @param {{ country: string, postalCode: string }} destination
+ * @returns {boolean}
+ */
+const delivers = (method, { country, postalCode }) => {
+  return method.countries.includes(country) &&
+    !(method.excludedPostalCodes || []).some(prefix => String(postalCode).startsWith(prefix));
+};
+
+/**
+ * Cost of a method for a basket.
+ *
+ * @param {object} method
+ * @param {{ totalQuantity: number, amount: number }} basket `amount` is the discounted basket total
+ * @returns {number}
+ */
+const computeCost = (method, { totalQuantity, amount }) => {
+  const rate = method.rate;
+  switch (rate.type) {
+    case 'flat':
+      return rate.amount;
+    case 'per_item':
+      return money.roundAmount(rate.base + rate.perItem * totalQuantity, pricing.CURRENCY);
+    case 'free_above':
+      return amount >= rate.threshold ? 0 : rate.amount;
+    default:
+      throw new Error('Unknown shipping rate: ' + rate.type);
+  }
+};
+
+/**
+ * Methods delivering a destination, with their cost for a basket.
+ *
+ * @param {{ country: string, postalCode: string }} destination
+ * @param {{ totalQuantity: number, amount: number }} basket
+ * @returns {Promise<{ id: string, name: string, delay: string, cost: number }[]>}
+ */
+const listMethods = (destination, basket) => {
+  return ShippingMethod.find().then(
+    (methods) => methods
+      .filter(method => delivers(method, destination))
+      .map(method => ({
+        id: method.id,
+        name: method.name,
+        delay: method.delay,
+        cost: computeCost(method, basket)
+      }))
+  );
+};
+
+/**
+ * Add shipping to a quote.
+ *
+ * @param {object} quote
+ * @param {{ method: string, country: string, postalCode: string }} shipping
+ * @returns {Promise<object>} Quote with `shipping` and its cost added to `total`
+ */
+const applyShipping = (quote, shipping) => {
+  return ShippingMethod.findById(shipping.method).then(
+    (method) => {
+      if (!method || !delivers(method, shipping)) {
+        throw new ShippingError('Shipping method not available for this destination: ' + shipping.method);
+      }
+      const cost = computeCost(method, { totalQuantity: quote.totalQuantity, amount: quote.total });
+      return {
+        ...quote,
+        shipping: {
+          method: method.id,
+          name: method.name,
+          delay: method.delay,
+          country: shipping.country,
+          postalCode: shipping.postalCode,
+          cost: cost
+        },
+        total: money.fromMinor(money.toMinor(quote.total, pricing.CURRENCY) + money.toMinor(cost, pricing.CURRENCY), pricing.CURRENCY)
+      };
+    }
+  );
+};
+
+module.exports = {
+  POSTAL_CODE_PATTERNS,
+  ShippingError,
+  isValidPostalCode,
+  delivers,
+  computeCost,
+  listMethods,
+  applyShipping
+};
@@ -0,0 +1,126 @@
+const Product = require('../models/Product');
+const { ApiError } = require('../errors');
+const createLock = require('./lock');
+const variants = require('./variants');
+
+/**
+ * Raised when some lines ask for more than what is in stock.
+ */
+class StockError extends ApiError {
+  /**
+   * @param {{ productId: string, sku: string, color: string, requested: number, available: number }[]} shortages
+   */
+  constructor (shortages) {
+    super(409, 'INSUFFICIENT_STOCK', 'Insufficient stock!', shortages);
+  }
+}
+
+/**
+ * Count available for a variant. Variants without `stock` are not tracked
+ * and never run out, unknown variants are out of stock.
+ *
+ * @param {object} product
+ * @param {{ sku?: string, color?: string }} line Variant `sku`, or `color` for lines sent before variants existed
+ * @returns {number}
+ */
+const available = (product, line) => {
+  const variant = variants.findVariant(product, line);
+  if (!variant) {
+    return 0;
+  }
+  return variant.stock === undefined ? Infinity : variant.stock;
+};
+
+// stock updates run one after the other so two orders can't reserve the same units
+const withLock = createLock();
+
+/**
+ * Sum quantities by product and variant.
+ *
+ * @param {{ productId: string, sku?: string, color?: string, quantity: number }[]} lines
+ * @param {object[]} products Products of lines, `null` when gone
+ * @returns {{ [productId: string]: { [sku: string]: number } }}
+ */
+const groupLines = (lines, products) => {
+  return lines.reduce((groups, line) => {
+    const product = products.find(candidate => candidate && candidate._id === line.productId);
+    const variant = product && variants.findVariant(product, line);
+    const sku = variant ? variant.sku : line.sku || line.color;
+    const skus = groups[line.productId] = groups[line.productId] || {};
+    skus[sku] = (skus[sku] || 0) + line.quantity;
+    return groups;
+  }, {});
+};
+
+/**
+ * Apply `sign * quantity` to the stock of every line.
+ */
+const adjust = (lines, sign) => {
+  const productIds = [...new Set(lines.map(line => line.productId))];
+
+  return Promise.all(productIds.map(productId => Product.findById(productId))).then(
+    (products) => {
+      const groups = groupLines(lines, products);
+
+      if (sign < 0) {
+        const shortages = productIds.flatMap((productId, i) => Object.entries(groups[productId])
+          .map(([sku, requested]) => {
+            const variant = products[i] && variants.findVariant(products[i], { sku: sku });
+            return {
+              productId: productId,
+              sku: sku,
+              color: variant ? variant.color : null,
+              requested: requested,
+              available: products[i] ? available(products[i], { sku: sku }) : 0
+            };
+          })
+          .filter(shortage => shortage.requested > shortage.available)
+        );
+        if (shortages.length) {
+          throw new StockError(shortages);
+        }
+      }
+
+      return Promise.all(products.filter(Boolean).map((product) => {
+        const counts = groups[product._id];
+        const productVariants = variants.variantsOf(product);
+        if (!productVariants.some(variant => counts[variant.sku] && variant.stock !== undefined)) {
+          return null;
+        }
+        return Product.update(product._id, {
+          variants: productVariants.map(variant => counts[variant.sku] && variant.stock !== undefined
+            ? { ...variant, stock: variant.stock + sign * counts[variant.sku] }
+            : variant)
+        });
+      }));
+    }
+  );
+};
+
+/**
+ * Take lines' quantities out of stock, rejects with a `StockError` and
+ * leaves stock untouched when any line can't be fulfilled.
+ *
+ * @param {{ productId: string, sku: string, quantity: number }[]} lines
+ * @returns {Promise}
+ */
+const reserve = (lines) => {
+  return withLock(() => adjust(lines, -1));
+};
+
+/**
+ * Put lines' quantities back in stock, e.g. when an order can't be saved.
+ *
+ * @param {{ productId: string, sku: string, quantity: number }[]} lines
+ * @returns {Promise}
+ */
+const release = (lines) => {
+  return withLock(() => adjust(lines, 1));
+};
+
+module.exports = {
+  StockError,
+  available,
+  reserve,
+  release
+};
@@ -0,0 +1,69 @@
+const money = require('./money');
+
+/**
+ * VAT rates in percent by destination country. Catalog prices and shipping
+ * costs include VAT, amounts excluding tax are computed from them.
+ */
+const VAT_RATES = {
+  FR: 20,
+  BE: 21,
+  LU: 17,
+  CH: 8.1
+};
+
+/** Country taxed until a shipping destination is chosen. */
+const DEFAULT_COUNTRY = process.env.TAX_COUNTRY || 'FR';
+
+if (!VAT_RATES[DEFAULT_COUNTRY]) {
+  throw new Error('No VAT rate for TAX_COUNTRY: ' + DEFAULT_COUNTRY);
+}
+
+/**
+ * Split an amount including VAT, both parts rounded to minor units and
+ * adding up to the amount.
+ *
+ * @param {number} amount Amount including VAT
+ * @param {number} rate VAT rate in percent
+ * @param {string} currency
+ * @returns {{ amountExclTax: number, tax: number }}
+ */
+const splitTax = (amount, rate, currency) => {
+  const total = money.toMinor(amount, currency);
+  const exclTax = Math.round(total / (1 + rate / 100));
+  return { amountExclTax: money.fromMinor(exclTax, currency), tax: money.fromMinor(total - exclTax, currency) };
+};
+
+/**
+ * Add VAT to each line and to the quote totals. The order VAT is computed on
+ * its total, discount and shipping included, so it may differ from the sum
+ * of lines VAT by rounding or discount.
+ *
+ * @param {object} quote
+ * @returns {object} Quote with `tax: { country, rate, totalExclTax, totalTax }`
+ */
+const applyTax = (quote) => {
+  const country = quote.shipping ? quote.shipping.country : DEFAULT_COUNTRY;
+  const rate = VAT_RATES[country];
+  const total = splitTax(quote.total, rate, quote.currency);
+
+  return {
+    ...quote,
+    products: quote.products.map((line) => {
+      const subtotal = splitTax(line.subtotal, rate, quote.currency);
+      return { ...line, taxRate: rate, subtotalExclTax: subtotal.amountExclTax, tax: subtotal.tax };
+    }),
+    tax: {
+      country: country,
+      rate: rate,
+      totalExclTax: total.amountExclTax,
+      totalTax: total.tax
+    }
+  };
+};
+
+module.exports = {
+  VAT_RATES,
+  DEFAULT_COUNTRY,
+  splitTax,
+  applyTax
+};
@@ -0,0 +1,74 @@
+const User = require('../models/User');
+const UserEmail = require('../models/UserEmail');
+const createLock = require('./lock');
+const { ApiError } = require('../errors');
+
+// emails are claimed one at a time so two accounts can't share one
+const withLock = createLock();
+
+/** Resolves once every user can be found by email. */
+let indexing = null;
+
+const normalizeEmail = (email) => {
+  return String(email).trim().toLowerCase();
+};
+
+/**
+ * Index users created before they were indexed by email, once per process.
+ *
+ * @returns {Promise}
+ */
+const indexUsers = () => {
+  if (!indexing) {
+    indexing = withLock(() => Promise.all([User.find(), UserEmail.find()]).then(
+      ([users, entries]) => Promise.all(users
+        .filter(user => !entries.some(entry => entry.email === user.email))
+        .map(user => UserEmail.create({ email: user.email, userId: user.userId }))
+      )
+    ));
+    // retried by next lookup
+    indexing.catch(() => { indexing = null; });
+  }
+  return indexing;
+};
+
+/**
+ * User owning an email, looked up by email rather than scanning users.
+ *
+ * @param {string} email
+ * @returns {Promise<object|null>}
+ */
+const findByEmail = (email) => {
+  return indexUsers().then(
+    () => UserEmail.findById(normalizeEmail(email))
+  ).then(
+    (entry) => entry ? User.findById(entry.userId).then(user => user || null) : null
+  );
+};
+
+/**
+ * Create a user, rejects with 409 `EMAIL_TAKEN` when an account already
+ * exists with its email.
+ *
+ * @param {{ userId: string, email: string }} user
+ * @returns {Promise<object>} Created user
+ */
+const createUser = (user) => {
+  const email = normalizeEmail(user.email);
+
+  return indexUsers().then(() => withLock(() => UserEmail.findById(email).then(
+    (entry) => {
+      if (entry) {
+        throw new ApiError(409, 'EMAIL_TAKEN', 'An account already exists with this email!');
+      }
+      return UserEmail.create({ email: email, userId: user.userId }).then(
+        () => User.create({ ...user, email: email })
+      );
+    }
+  )));
+};
+
+module.exports = {
+  findByEmail,
+  createUser
+};
@@ -0,0 +1,75 @@
+/**
+ * SKU given to a color of a product stored before variants existed.
+ *
+ * @param {string} productId
+ * @param {string} color
+ * @returns {string}
+ */
+const legacySku = (productId, color) => {
+  return productId + '-' + color.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().replace(/[^A-Z0-9]+/g, '-');
+};
+
+/**
+ * Variants of a product, as stored. Products stored before variants
+ * existed have `colors` and `stock` instead, each color becomes a variant.
+ *
+ * @param {object} product
+ * @returns {{ sku: string, color: string, price?: number, imageUrl?: string, stock?: number }[]}
+ */
+const variantsOf = (product) => {
+  if (product.variants) {
+    return product.variants;
+  }
+  return (product.colors || []).map(color => ({
+    sku: legacySku(product._id, color),
+    color: color,
+    ...(product.stock && { stock: product.stock[color] || 0 })
+  }));
+};
+
+/**
+ * Variant an order or cart line refers to, by `sku` or by `color` for lines
+ * sent before variants existed.
+ *
+ * @param {object} product
+ * @param {{ sku?: string, color?: string }} line
+ * @returns {object|null}
+ */
+const findVariant = (product, line) => {
+  return variantsOf(product).find(variant => line.sku !== undefined ? variant.sku === line.sku : variant.color === line.color) || null;
+};
+
+/**
+ * Variant with the product price and image when it doesn't override them.
+ *
+ * @param {object} product
+ * @param {object} variant
+ * @returns {{ sku: string, color: string, price: number, imageUrl: string, stock?: number }}
+ */
+const resolveVariant = (product, variant) => {
+  return {
+    ...variant,
+    price: variant.price !== undefined ? variant.price : product.price,
+    imageUrl: variant.imageUrl || product.imageUrl
+  };
+};
+
+/**
+ * Product as sent to clients: resolved variants, and their `colors` for
+ * clients listing colors only.
+ *
+ * @param {object} product
+ * @returns {object}
+ */
+const withVariants = (product) => {
+  const { colors, stock, ...rest } = product;
+  const variants = variantsOf(product).map(variant => resolveVariant(product, variant));
+  return { ...rest, colors: variants.map(variant => variant.color), variants: variants };
+};
+
+module.exports = {
+  variantsOf,
+  findVariant,
+  resolveVariant,
+  withVariants
+};
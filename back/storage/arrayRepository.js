@@ -0,0 +1,93 @@
+const { DuplicateIdError } = require('./errors');
+
+const clone = (value) => {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Implement the repository interface over a whole array of documents,
+ * loaded and saved at once. Writes are chained so concurrent updates never
+ * overwrite each other, and reads wait for the writes started before them.
+ *
+ * @param {{ idKey: string, load: () => Promise<object[]>, save: (documents: object[]) => Promise }} options
+ */
+const createArrayRepository = ({ idKey, load, save }) => {
+  let pendingWrite = Promise.resolve();
+
+  /**
+   * Apply `updater` to the stored documents and persist its result.
+   *
+   * @param {(documents: object[]) => { documents: object[], result: any }} updater
+   * @returns {Promise} Resolves with a copy of `result`
+   */
+  const write = (updater) => {
+    const operation = pendingWrite.then(
+      () => load()
+    ).then(
+      (documents) => {
+        const { documents: updated, result } = updater(documents);
+        return save(updated).then(() => clone(result));
+      }
+    );
+
+    // keep the chain alive even if this write fails
+    pendingWrite = operation.catch(() => {});
+
+    return operation;
+  };
+
+  const read = () => {
+    return pendingWrite.then(() => load());
+  };
+
+  const updateOne = (id, build) => {
+    return write((documents) => {
+      const index = documents.findIndex(document => document[idKey] == id);
+      if (index === -1) {
+        return { documents: documents, result: null };
+      }
+      const updated = { ...build(documents[index]), [idKey]: documents[index][idKey] };
+      return {
+        documents: documents.map((document, i) => i === index ? updated : document),
+        result: updated
+      };
+    });
+  };
+
+  return {
+    find: () => read().then(clone),
+
+    findById: (id) => read().then(documents =>
+      clone(documents.find(document => document[idKey] == id))
+    ),
+
+    create: (document) => write((documents) => {
+      if (documents.some(stored => stored[idKey] == document[idKey])) {
+        throw new DuplicateIdError(document[idKey]);
+      }
+      return { documents: [...documents, document], result: document };
+    }),
+
+    replace: (id, document) => updateOne(id, () => document),
+
+    update: (id, changes) => updateOne(id, document => ({
+      ...document,
+      ...(typeof changes === 'function' ? changes(clone(document)) : changes)
+    })),
+
+    remove: (id) => write((documents) => {
+      const document = documents.find(document => document[idKey] == id);
+      return {
+        documents: documents.filter(document => document[idKey] != id),
+        result: document || null
+      };
+    }),
+
+    reset: (documents) => write(() => ({
+      documents: clone(documents),
+      result: documents
+    }))
+  };
+};
+
+module.exports = createArrayRepository;
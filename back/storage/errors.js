@@ -0,0 +1,18 @@
+/**
+ * Raised by every adapter when a document is created with an id already
+ * stored in its collection.
+ */
+class DuplicateIdError extends Error {
+  /**
+   * @param {string} id
+   */
+  constructor (id) {
+    super('Duplicate id: ' + id);
+    this.code = 'DUPLICATE_ID';
+    this.id = id;
+  }
+}
+
+module.exports = {
+  DuplicateIdError
+};
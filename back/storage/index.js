@@ -0,0 +1,47 @@
+/**
+ * Storage layer shared by every model.
+ *
+ * A repository stores documents of a collection, identified by `idKey`,
+ * and exposes the same promise-based interface whatever the adapter:
+ *
+ * - `find()`: every document, in insertion order
+ * - `findById(id)`: the matching document or `undefined`
+ * - `create(document)`: store and resolve with the document, rejects with
+ *   a `DuplicateIdError` (see `storage/errors.js`) when its id is taken
+ * - `replace(id, document)`, `update(id, changes)`: resolve with the
+ *   updated document or `null` if none matches. `changes` may be a function
+ *   of the stored document, run within the write so concurrent updates
+ *   can't overwrite each other
+ * - `remove(id)`: resolve with the removed document or `null`
+ * - `reset(documents)`: replace the whole collection
+ *
+ * Documents are always copies, mutating them never alters the storage.
+ *
+ * The adapter is selected with the `STORAGE_DRIVER` environment variable:
+ * `memory`, `json` (default) or `sqlite`.
+ */
+
+const DRIVERS = {
+  memory: () => require('./memory'),
+  json: () => require('./json'),
+  sqlite: () => require('./sqlite')
+};
+
+/**
+ * @param {string} collection Collection name, used as file or table name
+ * @param {{ idKey?: string, seed?: object[] }} options `seed` fills a collection that doesn't exist yet
+ */
+const createRepository = (collection, options = {}) => {
+  const driver = process.env.STORAGE_DRIVER || 'json';
+
+  if (!DRIVERS[driver]) {
+    throw new Error('Unknown storage driver: ' + driver);
+  }
+
+  return DRIVERS[driver]()(collection, {
+    idKey: options.idKey || '_id',
+    seed: options.seed || []
+  });
+};
+
+module.exports = createRepository;
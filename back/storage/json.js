@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const createArrayRepository = require('./arrayRepository');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Persist documents to `<DATA_DIR>/<collection>.json`.
+ */
+const createJsonRepository = (collection, { idKey, seed }) => {
+  const file = path.join(DATA_DIR, collection + '.json');
+
+  return createArrayRepository({
+    idKey: idKey,
+    load: () => {
+      return fs.promises.readFile(file, 'utf8').then(
+        (data) => JSON.parse(data)
+      ).catch(
+        (error) => {
+          if (error.code === 'ENOENT') {
+            return JSON.parse(JSON.stringify(seed));
+          }
+          throw error;
+        }
+      );
+    },
+    save: (documents) => {
+      // write aside then rename so a half-written file is never read
+      const tmpFile = file + '.' + process.pid + '.tmp';
+      return fs.promises.mkdir(DATA_DIR, { recursive: true }).then(
+        () => fs.promises.writeFile(tmpFile, JSON.stringify(documents, null, 2))
+      ).then(
+        () => fs.promises.rename(tmpFile, file)
+      );
+    }
+  });
+};
+
+module.exports = createJsonRepository;
@@ -0,0 +1,19 @@
+const createArrayRepository = require('./arrayRepository');
+
+/**
+ * Keep documents in memory, lost on restart. Meant for tests.
+ */
+const createMemoryRepository = (collection, { idKey, seed }) => {
+  let documents = JSON.parse(JSON.stringify(seed));
+
+  return createArrayRepository({
+    idKey: idKey,
+    load: () => Promise.resolve(documents),
+    save: (updated) => {
+      documents = updated;
+      return Promise.resolve();
+    }
+  });
+};
+
+module.exports = createMemoryRepository;
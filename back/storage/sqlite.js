@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { DuplicateIdError } = require('./errors');
+
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, '..', 'data', 'kanap.sqlite');
+
+let database;
+
+/**
+ * Open the database once for every collection. `better-sqlite3` is an
+ * optional dependency, only required when this adapter is selected.
+ */
+const getDatabase = () => {
+  if (!database) {
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(SQLITE_FILE), { recursive: true });
+    database = new Database(SQLITE_FILE);
+    database.pragma('journal_mode = WAL');
+  }
+  return database;
+};
+
+/**
+ * Store each document as JSON in a `<collection>` table, one row per
+ * document. Row ids keep insertion order.
+ */
+const createSqliteRepository = (collection, { idKey, seed }) => {
+  const db = getDatabase();
+  const table = '"' + collection.replace(/"/g, '""') + '"';
+
+  const exists = db.prepare('SELECT name FROM sqlite_master WHERE type = \'table\' AND name = ?').get(collection);
+  db.exec('CREATE TABLE IF NOT EXISTS ' + table + ' (id TEXT PRIMARY KEY, data TEXT NOT NULL)');
+
+  const statements = {
+    all: db.prepare('SELECT data FROM ' + table + ' ORDER BY rowid'),
+    get: db.prepare('SELECT data FROM ' + table + ' WHERE id = ?'),
+    insert: db.prepare('INSERT INTO ' + table + ' (id, data) VALUES (?, ?)'),
+    update: db.prepare('UPDATE ' + table + ' SET data = ? WHERE id = ?'),
+    delete: db.prepare('DELETE FROM ' + table + ' WHERE id = ?'),
+    clear: db.prepare('DELETE FROM ' + table)
+  };
+
+  const get = (id) => {
+    const row = statements.get.get(String(id));
+    return row ? JSON.parse(row.data) : undefined;
+  };
+
+  const insertAll = db.transaction((documents) => {
+    statements.clear.run();
+    documents.forEach(document => statements.insert.run(String(document[idKey]), JSON.stringify(document)));
+  });
+
+  const updateOne = db.transaction((id, build) => {
+    const document = get(id);
+    if (!document) {
+      return null;
+    }
+    const updated = { ...build(document), [idKey]: document[idKey] };
+    statements.update.run(JSON.stringify(updated), String(id));
+    return updated;
+  });
+
+  const removeOne = db.transaction((id) => {
+    const document = get(id);
+    if (!document) {
+      return null;
+    }
+    statements.delete.run(String(id));
+    return document;
+  });
+
+  if (!exists) {
+    insertAll(seed);
+  }
+
+  // better-sqlite3 is synchronous, wrap results to match the interface
+  const run = (operation) => new Promise(resolve => resolve(operation()));
+
+  return {
+    find: () => run(() => statements.all.all().map(row => JSON.parse(row.data))),
+    findById: (id) => run(() => get(id)),
+    create: (document) => run(() => {
+      try {
+        statements.insert.run(String(document[idKey]), JSON.stringify(document));
+      } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+          throw new DuplicateIdError(document[idKey]);
+        }
+        throw error;
+      }
+      return JSON.parse(JSON.stringify(document));
+    }),
+    replace: (id, document) => run(() => updateOne(id, () => document)),
+    update: (id, changes) => run(() => updateOne(id, document => ({
+      ...document,
+      ...(typeof changes === 'function' ? changes(JSON.parse(JSON.stringify(document))) : changes)
+    }))),
+    remove: (id) => run(() => removeOne(id)),
+    reset: (documents) => run(() => {
+      insertAll(documents);
+      return JSON.parse(JSON.stringify(documents));
+    })
+  };
+};
+
+module.exports = createSqliteRepository;
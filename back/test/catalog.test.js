@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../services/catalog');
+
+const PRODUCTS = [
+  { _id: 'a', name: 'Kanap Sinopé', description: 'Canapé d\'angle', price: 1849, colors: ['Blue', 'White'] },
+  { _id: 'b', name: 'Kanap Cyllène', description: 'Petit canapé', price: 4499, colors: ['Grey'] },
+  { _id: 'c', name: 'Kanap Calycé', description: 'Canapé convertible', price: 3199, colors: ['Pink', 'White'] },
+  { _id: 'd', name: 'Kanap Autonoé', description: 'Fauteuil', price: 1499, colors: ['Black'] }
+];
+
+const ids = (query) => {
+  const result = catalog.queryProducts(PRODUCTS, catalog.parseQuery(query));
+  return result.products.map(product => product._id);
+};
+
+test('query parameters default to every product on one page', () => {
+  assert.deepEqual(catalog.parseQuery({}), {
+    terms: [],
+    colors: [],
+    minPrice: undefined,
+    maxPrice: undefined,
+    sort: undefined,
+    page: 1,
+    limit: undefined
+  });
+});
+
+test('invalid query parameters are refused', () => {
+  [
+    { sort: 'stock' },
+    { minPrice: 'cheap' },
+    { maxPrice: '-1' },
+    { limit: '0' },
+    { limit: '101' },
+    { limit: '2.5' },
+    { page: '2' }
+  ].forEach((query) => {
+    assert.throws(() => catalog.parseQuery(query), { status: 400, code: 'INVALID_QUERY' }, JSON.stringify(query));
+  });
+});
+
+test('products are searched by words of their name and description, ignoring case and accents', () => {
+  assert.deepEqual(ids({ q: 'CANAPE' }), ['a', 'b', 'c']);
+  assert.deepEqual(ids({ q: 'calyce convertible' }), ['c']);
+  assert.deepEqual(ids({ q: 'lit' }), []);
+});
+
+test('products are filtered by any of the colors and by price', () => {
+  assert.deepEqual(ids({ color: 'white,black' }), ['a', 'c', 'd']);
+  assert.deepEqual(ids({ color: ['pink', 'grey'] }), ['b', 'c']);
+  assert.deepEqual(ids({ minPrice: '1849', maxPrice: '3199' }), ['a', 'c']);
+});
+
+test('products are sorted by price or name, either way', () => {
+  assert.deepEqual(ids({ sort: 'price' }), ['d', 'a', 'c', 'b']);
+  assert.deepEqual(ids({ sort: '-price' }), ['b', 'c', 'a', 'd']);
+  assert.deepEqual(ids({ sort: 'name' }), ['d', 'c', 'b', 'a']);
+});
+
+test('pages hold up to limit products and count every match', () => {
+  const result = catalog.queryProducts(PRODUCTS, catalog.parseQuery({ sort: 'price', page: '2', limit: '3' }));
+
+  assert.deepEqual(result.products.map(product => product._id), ['b']);
+  assert.equal(result.total, 4);
+  assert.equal(result.page, 2);
+  assert.equal(result.limit, 3);
+  assert.deepEqual(ids({ page: '3', limit: '3' }), []);
+});
+
+test('variants are filtered and sorted at their own price', () => {
+  const products = [
+    {
+      _id: 'a',
+      name: 'Kanap Sinopé',
+      description: '',
+      price: 1849,
+      variants: [{ sku: 'A-BLUE', color: 'Blue', price: 1849 }, { sku: 'A-WHITE', color: 'White', price: 1299 }]
+    },
+    { _id: 'b', name: 'Kanap Cyllène', description: '', price: 1499, variants: [{ sku: 'B-GREY', color: 'Grey', price: 1499 }] }
+  ];
+  const query = query => catalog.queryProducts(products, catalog.parseQuery(query)).products.map(product => product._id);
+
+  assert.deepEqual(query({ maxPrice: '1300' }), ['a']);
+  assert.deepEqual(query({ minPrice: '1800' }), ['a']);
+  assert.deepEqual(query({ sort: 'price' }), ['a', 'b']);
+  assert.deepEqual(query({ sort: '-price' }), ['b', 'a']);
+  // a same variant has the color and the price
+  assert.deepEqual(query({ color: 'blue', maxPrice: '1300' }), []);
+  assert.deepEqual(query({ color: 'white', maxPrice: '1300' }), ['a']);
+});
@@ -0,0 +1,78 @@
+process.env.EXCHANGE_RATES = '{"USD":1.08,"JPY":160}';
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const currency = require('../services/currency');
+
+/**
+ * Exit status and error output of loading the currency service with some
+ * `EXCHANGE_RATES`, which is checked when the server starts.
+ */
+const loadWith = (rates) => {
+  const result = spawnSync(process.execPath, ['-e', 'require("./services/currency")'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, EXCHANGE_RATES: rates },
+    encoding: 'utf8'
+  });
+  return { status: result.status, stderr: result.stderr };
+};
+
+test('currency parameters default to euros and must be supported', () => {
+  assert.equal(currency.parseCurrency(undefined), 'EUR');
+  assert.equal(currency.parseCurrency('usd'), 'USD');
+  assert.throws(() => currency.parseCurrency('XYZ'), (error) => {
+    assert.ok(error instanceof currency.CurrencyError);
+    assert.deepEqual(error.details.supported, ['EUR', 'USD', 'GBP', 'CHF', 'JPY']);
+    return true;
+  });
+});
+
+test('amounts are converted and rounded to the currency minor unit', () => {
+  assert.equal(currency.convert(1849, 'USD'), 1996.92);
+  assert.equal(currency.convert(19.99, 'JPY'), 3198);
+  assert.equal(currency.toBase(1996.92, 'USD'), 1849);
+});
+
+test('converted quotes still add up', () => {
+  const quote = {
+    currency: 'EUR',
+    products: [
+      { productId: 'sinope', price: 1849, quantity: 1, subtotal: 1849 },
+      { productId: 'cyllene', price: 19.99, quantity: 3, subtotal: 59.97 }
+    ],
+    subtotal: 1908.97,
+    discount: 277.35,
+    shipping: { method: 'standard', cost: 49 },
+    total: 1680.62
+  };
+
+  const usd = currency.convertQuote(quote, 'USD');
+
+  assert.deepEqual(usd.products.map(line => [line.price, line.subtotal]), [[1996.92, 1996.92], [21.59, 64.77]]);
+  assert.equal(usd.subtotal, 2061.69);
+  assert.equal(usd.discount, 299.54);
+  assert.equal(usd.shipping.cost, 52.92);
+  assert.equal(usd.total, 1815.07);
+  assert.equal(usd.exchangeRate, 1.08);
+
+  const jpy = currency.convertQuote(quote, 'JPY');
+
+  assert.equal(jpy.subtotal, 305434);
+  assert.equal(jpy.total, 268898);
+});
+
+test('discounts never exceed the converted subtotal', () => {
+  const quote = { products: [{ price: 0.01, quantity: 1, subtotal: 0.01 }], subtotal: 0.01, discount: 0.01, shipping: null, total: 0 };
+
+  assert.equal(currency.convertQuote(quote, 'USD').total, 0);
+});
+
+test('invalid EXCHANGE_RATES stop the server with a clear message', () => {
+  assert.match(loadWith('USD=1.1').stderr, /EXCHANGE_RATES must be a JSON object/);
+  assert.match(loadWith('[1.1]').stderr, /EXCHANGE_RATES must be a JSON object/);
+  assert.match(loadWith('{"USD":-1}').stderr, /Invalid exchange rate in EXCHANGE_RATES: USD/);
+  assert.match(loadWith('{"EUR":2}').stderr, /Exchange rate of EUR must be 1/);
+  assert.equal(loadWith('{"USD":1.1}').status, 0);
+});
@@ -0,0 +1,57 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const idempotency = require('../services/idempotency');
+
+test('a key repeated with the same payload replays the first result', async () => {
+  let runs = 0;
+  const operation = () => Promise.resolve('order-' + ++runs);
+
+  const first = await idempotency.once('key-replay', { products: [1], contact: { a: 1, b: 2 } }, operation);
+  // key order doesn't matter
+  const second = await idempotency.once('key-replay', { contact: { b: 2, a: 1 }, products: [1] }, operation);
+
+  assert.deepEqual(first, { resourceId: 'order-1', replayed: false });
+  assert.deepEqual(second, { resourceId: 'order-1', replayed: true });
+  assert.equal(runs, 1);
+});
+
+test('a key reused for another payload is refused', async () => {
+  await idempotency.once('key-mismatch', { products: [1] }, () => Promise.resolve('order-1'));
+
+  await assert.rejects(
+    idempotency.once('key-mismatch', { products: [2] }, () => Promise.resolve('order-2')),
+    { status: 409, code: 'IDEMPOTENCY_KEY_MISMATCH' }
+  );
+});
+
+test('concurrent requests sharing a key run the operation once', async () => {
+  let runs = 0;
+  const operation = () => new Promise(resolve => setTimeout(() => resolve('order-' + ++runs), 10));
+
+  const results = await Promise.all([1, 2].map(() => idempotency.once('key-concurrent', { products: [1] }, operation)));
+
+  assert.deepEqual(results.map(result => result.replayed), [false, true]);
+  assert.equal(results[1].resourceId, 'order-1');
+  assert.equal(runs, 1);
+});
+
+test('failed operations are not recorded and can be retried', async () => {
+  await assert.rejects(
+    idempotency.once('key-retry', { products: [1] }, () => Promise.reject(new Error('failed'))),
+    { message: 'failed' }
+  );
+
+  assert.deepEqual(
+    await idempotency.once('key-retry', { products: [1] }, () => Promise.resolve('order-1')),
+    { resourceId: 'order-1', replayed: false }
+  );
+});
+
+test('keys must be printable and not too long', () => {
+  assert.throws(() => idempotency.validateKey(''), { code: 'INVALID_IDEMPOTENCY_KEY' });
+  assert.throws(() => idempotency.validateKey('a b'), { code: 'INVALID_IDEMPOTENCY_KEY' });
+  assert.throws(() => idempotency.validateKey('a'.repeat(256)), { code: 'INVALID_IDEMPOTENCY_KEY' });
+  idempotency.validateKey('checkout-42');
+});
@@ -0,0 +1,88 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const uuidv4 = require('uuid/v4');
+const Order = require('../models/Order');
+const lifecycle = require('../services/orderLifecycle');
+const payments = require('../services/payments');
+const invoices = require('../services/invoices');
+const orderMail = require('../services/orderMail');
+
+/**
+ * Store a pending order of one line, with discount, shipping and VAT.
+ */
+const createOrder = (lang) => {
+  return Order.create({
+    orderId: uuidv4(),
+    userId: null,
+    contact: { firstName: 'Jean', lastName: 'Dupont', address: '1 rue de la Paix', city: 'Paris', email: 'jean@example.com' },
+    products: [{ productId: 'product', sku: 'SKU', name: 'Kanap Sinopé', color: 'Blue', quantity: 2, price: 1849, subtotal: 3698 }],
+    currency: 'EUR',
+    lang: lang,
+    totalQuantity: 2,
+    subtotal: 3698,
+    discount: 369.8,
+    promotion: { code: 'SINOPE10' },
+    shipping: { country: 'FR', postalCode: '75001', method: 'standard', name: 'Standard', cost: 0 },
+    tax: { country: 'FR', rate: 20, totalExclTax: 2773.5, totalTax: 554.7 },
+    total: 3328.2,
+    ...lifecycle.initialStatus({ by: 'customer' }),
+    createdAt: new Date().toISOString()
+  });
+};
+
+// confirmation mails of paid orders are logged by the console transport
+test.mock.method(console, 'log', () => {});
+
+test('invoices are numbered once paid, and keep their number', async () => {
+  const order = await createOrder('fr');
+
+  await assert.rejects(invoices.issueInvoice(order.orderId), { status: 409, code: 'ORDER_NOT_INVOICEABLE' });
+  await lifecycle.transition(order.orderId, 'paid', { by: 'system' });
+
+  const invoiced = await invoices.issueInvoice(order.orderId);
+
+  assert.match(invoiced.invoice.number, /^\d{4}-\d{6}$/);
+  assert.deepEqual((await invoices.issueInvoice(order.orderId)).invoice, invoiced.invoice);
+  assert.equal(await invoices.issueInvoice('unknown'), null);
+});
+
+test('refunded orders keep serving their invoice', async () => {
+  const order = await createOrder('fr');
+  await lifecycle.transition(order.orderId, 'paid', { by: 'system' });
+  const invoiced = await invoices.issueInvoice(order.orderId);
+
+  await payments.refundOrder(order.orderId, { by: 'admin' });
+
+  assert.equal(lifecycle.statusOf(await Order.findById(order.orderId)), 'refunded');
+  assert.deepEqual((await invoices.issueInvoice(order.orderId)).invoice, invoiced.invoice);
+});
+
+test('refunded orders never invoiced get no invoice', async () => {
+  const order = await createOrder('fr');
+  await lifecycle.transition(order.orderId, 'paid', { by: 'system' });
+  await payments.refundOrder(order.orderId, { by: 'admin' });
+
+  await assert.rejects(invoices.issueInvoice(order.orderId), { status: 409, code: 'ORDER_NOT_INVOICEABLE' });
+});
+
+test('invoices are rendered as PDF', async () => {
+  const order = await createOrder('en');
+  await lifecycle.transition(order.orderId, 'paid', { by: 'system' });
+
+  const pdf = await invoices.renderInvoice(await invoices.issueInvoice(order.orderId));
+
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('confirmation mails list totals in the order language', async () => {
+  const mail = orderMail.renderOrderConfirmation(await createOrder('fr'));
+
+  assert.match(mail.text, /Kanap Sinopé Blue × 2 : 3\s698,00\s€/);
+  assert.match(mail.text, /Réduction SINOPE10 : -369,80\s€/);
+  assert.match(mail.text, /Standard : Offerte/);
+  assert.match(mail.text, /TVA \(20 %\) : 554,70\s€/);
+  assert.match(mail.text, /Total TTC : 3\s328,20\s€/);
+  assert.match(orderMail.renderOrderConfirmation(await createOrder('en')).text, /Total incl\. VAT: €3,328\.20/);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const money = require('../services/money');
+
+test('currencies have their own count of decimals', () => {
+  assert.equal(money.minorDigits('EUR'), 2);
+  assert.equal(money.minorDigits('JPY'), 0);
+  assert.equal(money.minorDigits('KWD'), 3);
+});
+
+test('amounts are rounded to minor units without floating point noise', () => {
+  assert.equal(money.toMinor(1.005, 'EUR'), 101);
+  assert.equal(money.toMinor(19.99, 'EUR'), 1999);
+  assert.equal(money.fromMinor(1999, 'EUR'), 19.99);
+  assert.equal(money.roundAmount(0.1 + 0.2, 'EUR'), 0.3);
+  assert.equal(money.roundAmount(277.35000000000002, 'EUR'), 277.35);
+  assert.equal(money.roundAmount(3198.4, 'JPY'), 3198);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const orderQuery = require('../services/orderQuery');
+
+const ORDERS = [
+  { orderId: 'a', status: 'paid', contact: { email: 'jean@example.com' }, createdAt: '2026-01-10T10:00:00.000Z' },
+  { orderId: 'b', status: 'cancelled', contact: { email: 'Marie@Example.com' }, createdAt: '2026-02-10T10:00:00.000Z' },
+  // placed before statuses existed
+  { orderId: 'c', contact: { email: 'paul@example.org' }, createdAt: '2026-03-10T10:00:00.000Z' }
+];
+
+const ids = (query) => {
+  return orderQuery.queryOrders(ORDERS, orderQuery.parseQuery(query)).orders.map(order => order.orderId);
+};
+
+test('orders are listed newest first and filtered by status, email and dates', () => {
+  assert.deepEqual(ids({}), ['c', 'b', 'a']);
+  assert.deepEqual(ids({ status: 'pending,paid' }), ['c', 'a']);
+  assert.deepEqual(ids({ email: 'EXAMPLE.COM' }), ['b', 'a']);
+  assert.deepEqual(ids({ from: '2026-02-01', to: '2026-03-01' }), ['b']);
+});
+
+test('orders are paginated like products', () => {
+  const result = orderQuery.queryOrders(ORDERS, orderQuery.parseQuery({ page: '2', limit: '2' }));
+
+  assert.deepEqual(result.orders.map(order => order.orderId), ['a']);
+  assert.equal(result.total, 3);
+  assert.equal(result.page, 2);
+  assert.equal(result.limit, 2);
+});
+
+test('invalid order queries are refused', () => {
+  [{ status: 'lost' }, { from: 'yesterday' }, { limit: '101' }, { page: '2' }].forEach((query) => {
+    assert.throws(() => orderQuery.parseQuery(query), { status: 400, code: 'INVALID_QUERY' }, JSON.stringify(query));
+  });
+});
@@ -0,0 +1,75 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const orderSchema = require('../services/orderSchema');
+
+const PRODUCT_ID = '107fb5b75607497b96722bda5b504926';
+
+const order = (fields) => ({
+  contact: { firstName: 'Jean-Luc', lastName: 'D\'Arc', address: '1 rue de la Paix', city: 'Paris', email: 'jean@example.com' },
+  products: [{ productId: PRODUCT_ID, sku: 'KANAP-SINOPE-BLUE', quantity: 2 }],
+  shipping: { country: 'FR', postalCode: '75001', method: 'standard' },
+  ...fields
+});
+
+const failingFields = body => orderSchema.validateOrder(body).then(errors => errors.map(error => error.field + ':' + error.code));
+
+test('valid orders have no errors', async () => {
+  assert.deepEqual(await failingFields(order()), []);
+  assert.deepEqual(await failingFields(order({ promoCode: 'SINOPE15' })), []);
+  // lines sent before variants existed
+  assert.deepEqual(await failingFields(order({ products: [{ productId: PRODUCT_ID, color: 'White', quantity: 1 }] })), []);
+});
+
+test('every failing contact field is reported', async () => {
+  assert.deepEqual(await failingFields(order({ contact: undefined })), ['contact:required']);
+  assert.deepEqual(await failingFields(order({
+    contact: { firstName: 'Jean2', lastName: ' ', address: 'x'.repeat(101), city: 'Paris', email: 'jean@example' }
+  })), [
+    'contact.firstName:invalid_format',
+    'contact.lastName:required',
+    'contact.address:too_long',
+    'contact.email:invalid_format'
+  ]);
+});
+
+test('every failing line is reported with its index', async () => {
+  assert.deepEqual(await failingFields(order({ products: [] })), ['products:required']);
+  assert.deepEqual(await failingFields(order({
+    products: [
+      null,
+      { productId: 'unknown', sku: 'X', quantity: 1 },
+      { productId: PRODUCT_ID, sku: 'KANAP-SINOPE-GREEN', quantity: 0 },
+      { productId: PRODUCT_ID, color: 'Green', quantity: 1.5 }
+    ]
+  })), [
+    'products[0]:invalid',
+    'products[1].productId:unknown_product',
+    'products[2].sku:unknown_sku',
+    'products[2].quantity:invalid_quantity',
+    'products[3].color:unknown_color',
+    'products[3].quantity:invalid_quantity'
+  ]);
+});
+
+test('shipping destination and promo code are checked', async () => {
+  assert.deepEqual(await failingFields(order({ shipping: null })), ['shipping:required']);
+  assert.deepEqual(await failingFields(order({ shipping: { country: 'DE', postalCode: '10115', method: 'standard' } })), ['shipping.country:unknown_country']);
+  assert.deepEqual(await failingFields(order({ shipping: { country: 'FR', postalCode: '7500', method: ' ' } })), [
+    'shipping.postalCode:invalid_format',
+    'shipping.method:required'
+  ]);
+  assert.deepEqual(await failingFields(order({ promoCode: '' })), ['promoCode:invalid']);
+});
+
+test('validated contact and shipping are trimmed', () => {
+  assert.deepEqual(
+    orderSchema.pickContact({ firstName: ' Jean ', lastName: 'Dupont', address: ' 1 rue X ', city: 'Paris ', email: 'j@d.fr', extra: 1 }),
+    { firstName: 'Jean', lastName: 'Dupont', address: '1 rue X', city: 'Paris', email: 'j@d.fr' }
+  );
+  assert.deepEqual(
+    orderSchema.pickShipping({ country: 'FR', postalCode: ' 75001 ', method: 'express ' }),
+    { country: 'FR', postalCode: '75001', method: 'express' }
+  );
+});
@@ -0,0 +1,143 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const uuidv4 = require('uuid/v4');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+const checkout = require('../services/checkout');
+const stock = require('../services/stock');
+const lifecycle = require('../services/orderLifecycle');
+const payments = require('../services/payments');
+
+const PRODUCT_ID = '107fb5b75607497b96722bda5b504926';
+const CARD = { number: '4242424242424242', expiry: '12/30', cvc: '123' };
+const DECLINED_CARD = { number: '4000000000000002', expiry: '12/30', cvc: '123' };
+
+const stockOf = (sku) => {
+  return Product.findById(PRODUCT_ID).then(product => product.variants.find(variant => variant.sku === sku).stock);
+};
+
+/**
+ * Place a pending order as the order endpoint does, its stock reserved.
+ */
+const placeOrder = (quantity) => {
+  const body = {
+    products: [{ productId: PRODUCT_ID, sku: 'KANAP-SINOPE-BLUE', quantity: quantity }],
+    shipping: { country: 'FR', postalCode: '75001', method: 'standard' }
+  };
+  return checkout.quote(body, { language: 'fr' }).then(
+    (quote) => stock.reserve(quote.products).then(() => Order.create({
+      orderId: uuidv4(),
+      userId: null,
+      contact: { firstName: 'Jean', lastName: 'Dupont', address: '1 rue de la Paix', city: 'Paris', email: 'jean@example.com' },
+      products: quote.products,
+      currency: quote.currency,
+      lang: 'fr',
+      totalQuantity: quote.totalQuantity,
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      promotion: quote.promotion,
+      shipping: quote.shipping,
+      tax: quote.tax,
+      total: quote.total,
+      ...lifecycle.initialStatus({ by: 'customer' }),
+      createdAt: new Date().toISOString()
+    }))
+  );
+};
+
+// confirmation mails of paid orders are logged by the console transport
+test.mock.method(console, 'log', () => {});
+
+test('a confirmed payment pays its order', async () => {
+  const order = await placeOrder(1);
+  const payment = await payments.createPayment(order.orderId);
+
+  assert.equal(payment.status, 'requires_payment_method');
+  assert.equal(payment.amount, order.total);
+  // open payment is resumed
+  assert.equal((await payments.createPayment(order.orderId)).paymentId, payment.paymentId);
+
+  const confirmed = await payments.confirmPayment(payment.paymentId, { card: CARD });
+
+  assert.equal(confirmed.status, 'succeeded');
+  assert.equal((await Order.findById(order.orderId)).status, 'paid');
+  await assert.rejects(payments.confirmPayment(payment.paymentId, { card: CARD }), { status: 409, code: 'PAYMENT_NOT_CONFIRMABLE' });
+  await assert.rejects(payments.createPayment(order.orderId), { status: 409, code: 'ORDER_NOT_PAYABLE' });
+});
+
+test('a declined payment can be confirmed again with another card', async () => {
+  const order = await placeOrder(1);
+  const payment = await payments.createPayment(order.orderId);
+
+  await assert.rejects(payments.confirmPayment(payment.paymentId, { card: DECLINED_CARD }), (error) => {
+    assert.ok(error instanceof payments.PaymentError);
+    assert.deepEqual(error.details, { reason: 'card_declined' });
+    return true;
+  });
+  assert.equal((await Payment.findById(payment.paymentId)).status, 'requires_payment_method');
+  assert.equal((await Order.findById(order.orderId)).status, 'pending');
+
+  assert.equal((await payments.confirmPayment(payment.paymentId, { card: CARD })).status, 'succeeded');
+});
+
+test('refunding a paid order refunds its payment and gives its stock back', async () => {
+  const before = await stockOf('KANAP-SINOPE-BLUE');
+  const order = await placeOrder(2);
+  const payment = await payments.createPayment(order.orderId);
+  await payments.confirmPayment(payment.paymentId, { card: CARD });
+
+  assert.equal(await stockOf('KANAP-SINOPE-BLUE'), before - 2);
+
+  const refunded = await payments.refundOrder(order.orderId, { by: 'admin', author: 'test' });
+  const refundedPayment = await Payment.findById(payment.paymentId);
+
+  assert.equal(refunded.status, 'refunded');
+  assert.equal(refundedPayment.status, 'refunded');
+  assert.equal(refundedPayment.refund.amount, order.total);
+  assert.equal(await stockOf('KANAP-SINOPE-BLUE'), before);
+  await assert.rejects(payments.refundOrder(order.orderId, { by: 'admin' }), { status: 409, code: 'INVALID_TRANSITION' });
+});
+
+test('unpaid orders can\'t be refunded', async () => {
+  const order = await placeOrder(1);
+
+  await assert.rejects(payments.refundOrder(order.orderId, { by: 'admin' }), { status: 409, code: 'INVALID_TRANSITION' });
+  assert.equal((await Order.findById(order.orderId)).status, 'pending');
+});
+
+test('cancelling an unpaid order cancels its payment and gives its stock back', async () => {
+  const before = await stockOf('KANAP-SINOPE-BLUE');
+  const order = await placeOrder(3);
+  const payment = await payments.createPayment(order.orderId);
+
+  const cancelled = await payments.cancelOrder(order.orderId, { by: 'customer' });
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal((await Payment.findById(payment.paymentId)).status, 'cancelled');
+  assert.equal(await stockOf('KANAP-SINOPE-BLUE'), before);
+  await assert.rejects(payments.confirmPayment(payment.paymentId, { card: CARD }), { code: 'PAYMENT_NOT_CONFIRMABLE' });
+});
+
+test('orders cancelled by an administrator can no longer be paid', async () => {
+  const order = await placeOrder(1);
+  const payment = await payments.createPayment(order.orderId);
+
+  const cancelled = await payments.cancelOrder(order.orderId, { by: 'admin', author: 'test' });
+
+  assert.equal(cancelled.status, 'cancelled');
+  await assert.rejects(payments.confirmPayment(payment.paymentId, { card: CARD }), { status: 409, code: 'PAYMENT_NOT_CONFIRMABLE' });
+});
+
+test('payments of orders no longer pending aren\'t charged', async () => {
+  const order = await placeOrder(1);
+  const payment = await payments.createPayment(order.orderId);
+
+  // cancelled without its payment, as orders were before payments followed them
+  await lifecycle.transition(order.orderId, 'cancelled', { by: 'admin' });
+
+  await assert.rejects(payments.confirmPayment(payment.paymentId, { card: CARD }), { status: 409, code: 'ORDER_NOT_PAYABLE' });
+  assert.equal((await Payment.findById(payment.paymentId)).status, 'requires_payment_method');
+});
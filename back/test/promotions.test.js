@@ -0,0 +1,64 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const promotions = require('../services/promotions');
+
+const promotion = (fields) => ({
+  code: 'TEST',
+  type: 'percentage',
+  value: 10,
+  minBasket: null,
+  scope: null,
+  startsAt: null,
+  expiresAt: null,
+  maxUses: null,
+  uses: 0,
+  ...fields
+});
+
+const quote = {
+  subtotal: 1903.99,
+  products: [
+    { productId: 'sinope', color: 'Blue', subtotal: 1849 },
+    { productId: 'cyllene', color: 'Pink', subtotal: 54.99 }
+  ]
+};
+
+test('percentage discounts are rounded to cents', () => {
+  assert.equal(promotions.computeDiscount(promotion({ value: 15, scope: { productIds: ['sinope'] } }), quote), 277.35);
+  assert.equal(promotions.computeDiscount(promotion({ value: 10 }), quote), 190.4);
+  assert.equal(promotions.computeDiscount(promotion({ value: 20, scope: { colors: ['Pink'] } }), quote), 11);
+});
+
+test('fixed discounts never exceed the concerned lines', () => {
+  assert.equal(promotions.computeDiscount(promotion({ type: 'fixed', value: 100 }), quote), 100);
+  assert.equal(promotions.computeDiscount(promotion({ type: 'fixed', value: 100, scope: { colors: ['Pink'] } }), quote), 54.99);
+});
+
+test('promotions are refused outside their conditions', () => {
+  const now = new Date('2026-06-01T00:00:00.000Z');
+  const reasonOf = (fields) => {
+    try {
+      promotions.computeDiscount(fields && promotion(fields), quote, now);
+    } catch (error) {
+      assert.equal(error.code, 'INVALID_PROMO_CODE');
+      return error.details.reason;
+    }
+  };
+
+  assert.equal(reasonOf(undefined), 'unknown');
+  assert.equal(reasonOf({ startsAt: '2026-07-01T00:00:00.000Z' }), 'not_started');
+  assert.equal(reasonOf({ expiresAt: '2026-06-01T00:00:00.000Z' }), 'expired');
+  assert.equal(reasonOf({ maxUses: 3, uses: 3 }), 'usage_limit_reached');
+  assert.equal(reasonOf({ minBasket: 2000 }), 'minimum_not_reached');
+  assert.equal(reasonOf({ scope: { productIds: ['other'] } }), 'not_applicable');
+});
+
+test('applying a promo code discounts the quote total', async () => {
+  const discounted = await promotions.applyPromotion({ ...quote, total: quote.subtotal }, 'bienvenue10');
+
+  assert.equal(discounted.discount, 190.4);
+  assert.equal(discounted.total, 1713.59);
+  assert.equal(discounted.promotion.code, 'BIENVENUE10');
+});
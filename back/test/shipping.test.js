@@ -0,0 +1,50 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const shipping = require('../services/shipping');
+
+const method = rate => ({ id: 'test', rate: rate, countries: ['FR'] });
+
+test('flat rates cost the same whatever the basket', () => {
+  assert.equal(shipping.computeCost(method({ type: 'flat', amount: 99 }), { totalQuantity: 5, amount: 3000 }), 99);
+});
+
+test('per item rates add a cost per ordered item, rounded to cents', () => {
+  assert.equal(shipping.computeCost(method({ type: 'per_item', base: 79, perItem: 40 }), { totalQuantity: 3, amount: 0 }), 199);
+  assert.equal(shipping.computeCost(method({ type: 'per_item', base: 4.9, perItem: 1.1 }), { totalQuantity: 3, amount: 0 }), 8.2);
+});
+
+test('free above rates are free from their threshold on', () => {
+  const rate = { type: 'free_above', amount: 49, threshold: 2000 };
+
+  assert.equal(shipping.computeCost(method(rate), { totalQuantity: 1, amount: 1999.99 }), 49);
+  assert.equal(shipping.computeCost(method(rate), { totalQuantity: 1, amount: 2000 }), 0);
+});
+
+test('unknown rates are refused', () => {
+  assert.throws(() => shipping.computeCost(method({ type: 'weight' }), { totalQuantity: 1, amount: 10 }), /Unknown shipping rate/);
+});
+
+test('methods are listed for the destinations they deliver', async () => {
+  const ids = destination => shipping.listMethods(destination, { totalQuantity: 1, amount: 100 }).then(methods => methods.map(method => method.id));
+
+  assert.deepEqual(await ids({ country: 'FR', postalCode: '75001' }), ['standard', 'express', 'installation']);
+  // Corsica isn't delivered express
+  assert.deepEqual(await ids({ country: 'FR', postalCode: '20000' }), ['standard', 'installation']);
+  assert.deepEqual(await ids({ country: 'CH', postalCode: '1200' }), ['installation']);
+  assert.deepEqual(await ids({ country: 'DE', postalCode: '10115' }), []);
+});
+
+test('shipping adds its cost to the quote total', async () => {
+  const quote = { totalQuantity: 2, total: 1620.65 };
+
+  const shipped = await shipping.applyShipping(quote, { country: 'FR', postalCode: '75001', method: 'installation' });
+
+  assert.equal(shipped.shipping.cost, 159);
+  assert.equal(shipped.total, 1779.65);
+  await assert.rejects(
+    shipping.applyShipping(quote, { country: 'CH', postalCode: '1200', method: 'express' }),
+    { status: 400, code: 'SHIPPING_UNAVAILABLE' }
+  );
+});
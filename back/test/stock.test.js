@@ -0,0 +1,59 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const stock = require('../services/stock');
+
+const PRODUCT_ID = '107fb5b75607497b96722bda5b504926';
+
+const stockOf = (sku) => {
+  return Product.findById(PRODUCT_ID).then(product => product.variants.find(variant => variant.sku === sku).stock);
+};
+
+test('reserve takes quantities out of stock and release puts them back', async () => {
+  const lines = [{ productId: PRODUCT_ID, sku: 'KANAP-SINOPE-BLUE', quantity: 3 }];
+
+  await stock.reserve(lines);
+  assert.equal(await stockOf('KANAP-SINOPE-BLUE'), 9);
+
+  await stock.release(lines);
+  assert.equal(await stockOf('KANAP-SINOPE-BLUE'), 12);
+});
+
+test('reserve counts lines of a same variant together', async () => {
+  const lines = [
+    { productId: PRODUCT_ID, sku: 'KANAP-SINOPE-WHITE', quantity: 5 },
+    { productId: PRODUCT_ID, color: 'White', quantity: 4 }
+  ];
+
+  await assert.rejects(stock.reserve(lines), { code: 'INSUFFICIENT_STOCK' });
+  assert.equal(await stockOf('KANAP-SINOPE-WHITE'), 8);
+});
+
+test('reserve refuses shortages and leaves stock untouched', async () => {
+  const lines = [
+    { productId: PRODUCT_ID, sku: 'KANAP-SINOPE-BLUE', quantity: 1 },
+    { productId: PRODUCT_ID, sku: 'KANAP-SINOPE-BLACK', quantity: 1 }
+  ];
+
+  await assert.rejects(stock.reserve(lines), (error) => {
+    assert.ok(error instanceof stock.StockError);
+    assert.equal(error.status, 409);
+    assert.deepEqual(error.details, [
+      { productId: PRODUCT_ID, sku: 'KANAP-SINOPE-BLACK', color: 'Black', requested: 1, available: 0 }
+    ]);
+    return true;
+  });
+  assert.equal(await stockOf('KANAP-SINOPE-BLUE'), 12);
+});
+
+test('concurrent reservations never take more than the stock', async () => {
+  const line = { productId: PRODUCT_ID, sku: 'KANAP-SINOPE-WHITE', quantity: 3 };
+
+  const results = await Promise.allSettled([1, 2, 3].map(() => stock.reserve([line])));
+
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+  assert.equal(await stockOf('KANAP-SINOPE-WHITE'), 2);
+  await stock.release([{ ...line, quantity: 6 }]);
+});
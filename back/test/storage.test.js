@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'kanap-storage-'));
+process.env.SQLITE_FILE = path.join(process.env.DATA_DIR, 'kanap.sqlite');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createJsonRepository = require('../storage/json');
+const { DuplicateIdError } = require('../storage/errors');
+
+/** Adapters, sqlite one only when its optional package is installed. */
+const ADAPTERS = ['memory', 'json', 'sqlite'];
+
+const hasSqlite = () => {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('json reads made while writing never see a half-written file', async () => {
+  const repository = createJsonRepository('counters', { idKey: 'name', seed: [{ name: 'visits', count: 0 }] });
+  const runs = Array.from({ length: 50 }, () => Promise.all([
+    repository.update('visits', counter => ({ count: counter.count + 1 })),
+    repository.find(),
+    repository.findById('visits')
+  ]));
+
+  await Promise.all(runs);
+
+  assert.equal((await repository.findById('visits')).count, 50);
+  assert.ok(!fs.readdirSync(process.env.DATA_DIR).some(file => file.endsWith('.tmp')));
+});
+
+test('json reads see the writes started before them', async () => {
+  const repository = createJsonRepository('notes', { idKey: 'id', seed: [] });
+
+  repository.create({ id: 'a' });
+
+  assert.deepEqual(await repository.find(), [{ id: 'a' }]);
+});
+
+ADAPTERS.forEach((driver) => {
+  test(driver + ' refuses to create a document whose id is taken', { skip: driver === 'sqlite' && !hasSqlite() }, async () => {
+    const repository = require('../storage/' + driver)('duplicates', { idKey: 'id', seed: [{ id: 'a', value: 1 }] });
+
+    await assert.rejects(repository.create({ id: 'a', value: 2 }), DuplicateIdError);
+    assert.deepEqual(await repository.find(), [{ id: 'a', value: 1 }]);
+    assert.deepEqual(await repository.create({ id: 'b', value: 3 }), { id: 'b', value: 3 });
+  });
+});
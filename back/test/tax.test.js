@@ -0,0 +1,44 @@
+process.env.TAX_COUNTRY = 'FR';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tax = require('../services/tax');
+
+test('amounts including VAT are split into parts adding up to them', () => {
+  assert.deepEqual(tax.splitTax(1898, 20, 'EUR'), { amountExclTax: 1581.67, tax: 316.33 });
+  assert.deepEqual(tax.splitTax(0.05, 20, 'EUR'), { amountExclTax: 0.04, tax: 0.01 });
+  assert.deepEqual(tax.splitTax(49.99, 8.1, 'CHF'), { amountExclTax: 46.24, tax: 3.75 });
+  // no minor unit
+  assert.deepEqual(tax.splitTax(29990, 20, 'JPY'), { amountExclTax: 24992, tax: 4998 });
+});
+
+test('splits carry no floating point noise', () => {
+  [0.1, 0.3, 1.15, 19.99, 1620.65, 9999.99].forEach((amount) => {
+    [17, 20, 21, 8.1].forEach((rate) => {
+      const { amountExclTax, tax: vat } = tax.splitTax(amount, rate, 'EUR');
+      assert.equal(Math.round((amountExclTax + vat) * 100), Math.round(amount * 100));
+      assert.equal(amountExclTax, Number(amountExclTax.toFixed(2)));
+      assert.equal(vat, Number(vat.toFixed(2)));
+    });
+  });
+});
+
+test('quotes are taxed at the rate of their shipping country', () => {
+  const quote = {
+    currency: 'EUR',
+    products: [{ productId: 'sinope', subtotal: 1849 }],
+    shipping: { country: 'BE', cost: 49 },
+    total: 1898
+  };
+
+  const taxed = tax.applyTax(quote);
+
+  assert.deepEqual(taxed.tax, { country: 'BE', rate: 21, totalExclTax: 1568.6, totalTax: 329.4 });
+  assert.deepEqual(taxed.products, [{ productId: 'sinope', subtotal: 1849, taxRate: 21, subtotalExclTax: 1528.1, tax: 320.9 }]);
+});
+
+test('quotes without shipping are taxed in the default country', () => {
+  const taxed = tax.applyTax({ currency: 'EUR', products: [], total: 120 });
+
+  assert.deepEqual(taxed.tax, { country: 'FR', rate: 20, totalExclTax: 100, totalTax: 20 });
+});
@@ -0,0 +1,197 @@
+import { BASE_URL, ApiError, ValidationError, ValidationEntryError, fetchData, getSession, writeSession, authHeaders, formatMoney, createElementFactory, onDocumentReady } from './utils.js'
+import { t, getLocale } from './i18n.js'
+import { validateFields, handleFieldsValidation, showFieldErrors } from './validation.js'
+
+const LOGIN_URL = BASE_URL + 'auth/login'
+const REGISTER_URL = BASE_URL + 'auth/register'
+const MY_ORDERS_URL = BASE_URL + 'me/orders'
+
+/**
+ * Post JSON data to API.
+ *
+ * @param {string} url
+ * @param {object} data
+ * @returns {Promise<Session>}
+ */
+function postSession (url, data) {
+  const headers = { 'Content-Type': 'application/json; charset=UTF-8' }
+  const body = JSON.stringify(data)
+
+  return fetchData(new Request(url, { method: 'POST', headers, body }))
+}
+
+/**
+ * Create an order history element.
+ *
+ * @param {Order} order
+ * @returns {HTMLLIElement}
+ */
+function createOrderElement (order) {
+  /** @type {{ li: HTMLLIElement, a: HTMLLinkElement, status: HTMLSpanElement, total: HTMLSpanElement }} */
+  const { li, a, status, total } = createElementFactory('li', 'a', 'status:span', 'total:span')
+
+  a.href = `./confirmation.html?orderId=${order.orderId}`
+  a.innerText = t('account.order', { date: new Date(order.createdAt).toLocaleDateString(getLocale()), count: order.totalQuantity })
+
+  status.classList.add('account__orders__status')
+  status.innerText = t(`status.${order.status}`)
+
+  total.innerText = formatMoney(order.total, order.currency);
+
+  [ a, status, total ].forEach(child => li.appendChild(child))
+
+  return li
+}
+
+/**
+ * Fetch and render orders of logged in customer.
+ *
+ * @param {HTMLElement} el Orders list
+ */
+async function renderOrders (el) {
+  /** @type {Order[]} */
+  const orders = await fetchData(new Request(MY_ORDERS_URL, { headers: authHeaders() }))
+  const target = el.cloneNode()
+
+  orders
+    .map(order => createOrderElement(order))
+    .forEach(element => target.appendChild(element))
+
+  if (!orders.length) {
+    const li = document.createElement('li')
+
+    li.innerText = t('account.noOrders')
+    target.appendChild(li)
+  }
+
+  el.parentElement.replaceChild(target, el)
+}
+
+/**
+ * Show either profile or login and register forms.
+ */
+async function renderAccount () {
+  const session = getSession()
+  const authEl = document.querySelector('#accountAuth')
+  const profileEl = document.querySelector('#accountProfile')
+
+  authEl.hidden = !!session
+  profileEl.hidden = !session
+
+  if (!session) {
+    return
+  }
+
+  const { contact } = session.user
+
+  profileEl.querySelector('#accountName').innerText = `${contact.firstName} ${contact.lastName}`
+  profileEl.querySelector('#accountAddress').innerText = `${contact.address}, ${contact.city}`
+
+  try {
+    await renderOrders(profileEl.querySelector('#accountOrders'))
+  } catch (err) {
+    console.error(err)
+
+    // token expired or forged, log in again
+    if (err instanceof ApiError && err.status === 401) {
+      writeSession(null)
+      renderAccount()
+    }
+  }
+}
+
+/**
+ * Write API error under the form, and next to fields when possible.
+ *
+ * @param {HTMLElement} el Form error element
+ * @param {Error} err
+ */
+function renderFormError (el, err) {
+  if (!(err instanceof ApiError)) {
+    el.innerText = t('error.default')
+    return
+  }
+
+  if (Array.isArray(err.details)) {
+    showFieldErrors(err.details)
+  }
+
+  el.innerText = err.userMessage
+}
+
+/**
+ * @param {HTMLFormElement} formEl
+ */
+function handleLogin (formEl) {
+  const inputs = Array.from(formEl.querySelectorAll('input:not([type=submit])'))
+  const errorEl = formEl.querySelector('#loginErrorMsg')
+
+  formEl.noValidate = true
+
+  formEl.addEventListener('submit', async (event) => {
+    event.preventDefault()
+    errorEl.innerText = ''
+
+    // only check fields are filled, API tells if they match
+    const errors = inputs
+      .filter(input => !input.value.trim())
+      .map(input => new ValidationEntryError(t('field.required'), input))
+
+    inputs.forEach(input => ValidationEntryError.clear(input))
+
+    if (errors.length) {
+      return new ValidationError(errors).showErrors()
+    }
+
+    try {
+      const [ email, password ] = inputs.map(input => input.value)
+
+      writeSession(await postSession(LOGIN_URL, { email: email.trim(), password }))
+      renderAccount()
+    } catch (err) {
+      console.error(err)
+      renderFormError(errorEl, err)
+    }
+  })
+}
+
+/**
+ * @param {HTMLFormElement} formEl
+ */
+function handleRegister (formEl) {
+  const inputs = Array.from(formEl.querySelectorAll('.account__form__question input'))
+  const errorEl = formEl.querySelector('#registerErrorMsg')
+
+  handleFieldsValidation(formEl, inputs)
+
+  formEl.addEventListener('submit', async (event) => {
+    event.preventDefault()
+    errorEl.innerText = ''
+
+    try {
+      const { password, ...contact } = validateFields(inputs)
+
+      writeSession(await postSession(REGISTER_URL, { contact, password }))
+      renderAccount()
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return err.showErrors()
+      }
+
+      console.error(err)
+      renderFormError(errorEl, err)
+    }
+  })
+}
+
+onDocumentReady(function () {
+  handleLogin(document.querySelector('#loginForm'))
+  handleRegister(document.querySelector('#registerForm'))
+
+  document.querySelector('#logout').addEventListener('click', () => {
+    writeSession(null)
+    renderAccount()
+  })
+
+  renderAccount()
+})
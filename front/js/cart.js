@@ -1,10 +1,25 @@
-import { BASE_URL, getCartFromStorage, computeQuantity, computePriceByQuantity, fetchData, localePrice, createElementFactory, saveToCart, writeCartToStorage } from './utils.js'
+import { BASE_URL, ApiError, ValidationError, ValidationEntryError, getCartFromStorage, computeQuantity, computePriceByQuantity, fetchData, getSession, authHeaders, getPromoCode, writePromoCode, writePendingOrderId, withPreferences, preferences, formatMoney, createElementFactory, saveToCart, syncCart, migrateCartItems, availableQuantity, getItemVariant, onDocumentReady } from './utils.js'
+import { validateField, validateFields, handleFieldsValidation, showFieldErrors } from './validation.js'
+import { t, hasMessage, getLocale } from './i18n.js'
 
 const PRODUCTS_URL = BASE_URL + 'products'
 const ORDER_URL = PRODUCTS_URL + '/order'
+const QUOTE_URL = BASE_URL + 'cart/quote'
+const PROMOTION_URL = BASE_URL + 'promotions/validate'
+const SHIPPING_URL = BASE_URL + 'shipping/quote'
+
+
+/** Identify the latest quote request so stale responses are ignored */
+let quoteRequestId = 0
+
+/** Cart products currently displayed, quoted again when shipping changes */
+let cartItems = []
+
+/** Order being submitted and its idempotency key, kept while it doesn't change so a retry can't order twice */
+let checkoutAttempt = null
 
 /**
- * Map cart item with product data.
+ * Map cart item with product and variant data.
  *
  * @param {CartItem} item
  * @param {Products} products
@@ -13,14 +28,22 @@ const ORDER_URL = PRODUCTS_URL + '/order'
  */
 function mapCartItem (products, { productId, ...item }) {
   const product = products.find(({ _id }) => productId === _id)
+  const variant = product && getItemVariant(product, item)
 
-  if (!product) {
+  if (!variant) {
     return null
   }
 
+  const { sku, color, price, imageUrl, srcset } = variant
+
   return {
     ...product,
     ...item,
+    sku,
+    color,
+    price,
+    imageUrl,
+    srcset,
   }
 }
 
@@ -53,6 +76,8 @@ function createCartElement (data) {
   // image
   img.alt = data.altTxt
   img.src = data.imageUrl
+  img.srcset = data.srcset
+  img.sizes = '(max-width: 575.98px) 50vw, 350px'
 
   imgParent.classList.add('cart__item__img')
   imgParent.appendChild(img)
@@ -60,18 +85,18 @@ function createCartElement (data) {
   // description
   title.innerText = data.name
   color.innerText = data.color
-  price.innerText = `${localePrice(data.price)} €`
+  price.innerText = formatMoney(data.price, data.currency)
 
   description.classList.add('cart__item__content__description');
   [ title, color, price ].forEach(child => description.appendChild(child))
 
   // settings quantity
-  quantityLabel.innerText = 'Qté : '
+  quantityLabel.innerText = t('cart.quantity')
 
   quantityInput.type = 'number'
   quantityInput.name = 'itemQuantity'
   quantityInput.min = '1'
-  quantityInput.max = '100'
+  quantityInput.max = String(Math.max(availableQuantity(data, data.sku), data.quantity))
   quantityInput.valueAsNumber = data.quantity
   quantityInput.classList.add('itemQuantity')
 
@@ -79,7 +104,7 @@ function createCartElement (data) {
   [ quantityLabel, quantityInput ].forEach(child => settingsQuantity.appendChild(child))
 
   // settings delete
-  deleteItem.innerText = 'Supprimer'
+  deleteItem.innerText = t('cart.delete')
   deleteItem.classList.add('deleteItem')
 
   settingsDelete.classList.add('cart__item__content__settings__delete')
@@ -95,7 +120,7 @@ function createCartElement (data) {
 
   // article
   item.dataset.id = data._id
-  item.dataset.color = data.color
+  item.dataset.sku = data.sku
 
   item.classList.add('cart__item');
   [ imgParent, content ].forEach(child => item.appendChild(child))
@@ -139,14 +164,14 @@ function updateItem (el, triggerEl, quantity, products, handlers) {
   const productEl = Array.from(el.children).find(child => child.contains(triggerEl) || child === triggerEl)
 
   if (productEl) {
-    const { id: productId, color } = productEl.dataset
+    const { id: productId, sku } = productEl.dataset
     const product = (productId && products.find(product => product._id === productId)) || null
 
     /** @type {SaveHandlers} */
     const wrappedHandlers = Object.fromEntries(Object.entries(handlers).map(([ k, fn ]) => ([ k, item => fn(productEl, item) ])))
 
-    if (product && productId && color) {
-      if (saveToCart(product, color, quantity, wrappedHandlers)) {
+    if (product && productId && sku) {
+      if (saveToCart(product, sku, quantity, wrappedHandlers)) {
         updateCartState(products)
       }
     }
@@ -210,34 +235,478 @@ async function renderCart (el, products) {
 }
 
 /**
+ * Lines of cart as expected by the API.
+ *
+ * @returns {{ productId: string, sku?: string, color?: string, quantity: number }[]}
+ */
+function getOrderLines () {
+  // API still accepts items saved before variants existed
+  return getCartFromStorage().map(({ productId, sku, color, quantity }) => ({ productId, ...(sku ? { sku } : { color }), quantity }))
+}
+
+/**
+ * Ask the API for the authoritative cart total.
+ *
+ * @param {CartProducts} items
+ * @param {string | null} promoCode
+ * @param {Shipping | null} shipping
+ * @returns {Promise<Quote>}
+ */
+function fetchQuote (items, promoCode, shipping) {
+  const headers = { 'Content-Type': 'application/json; charset=UTF-8' }
+  const products = items.map(({ _id, sku, quantity }) => ({ productId: _id, sku, quantity }))
+  const body = JSON.stringify({ products, ...preferences(), ...(promoCode && { promoCode }), ...(shipping && { shipping }) })
+
+  return fetchData(new Request(QUOTE_URL, { method: 'POST', headers, body }))
+}
+
+/**
+ * Ask the API which shipping methods deliver destination, priced for quote.
+ *
+ * @param {Pick<Shipping, 'country' | 'postalCode'>} destination
+ * @param {Quote} quote
+ * @returns {Promise<ShippingMethod[]>}
+ */
+async function fetchShippingMethods ({ country, postalCode }, quote) {
+  const url = new URL(SHIPPING_URL)
+
+  url.searchParams.set('country', country)
+  url.searchParams.set('postalCode', postalCode)
+  url.searchParams.set('totalQuantity', quote.totalQuantity)
+  url.searchParams.set('amount', quote.subtotal - quote.discount)
+  url.searchParams.set('currency', quote.currency)
+  url.searchParams.set('lang', getLocale())
+
+  /** @type {ShippingQuote} */
+  const { methods } = await fetchData(url.toString())
+
+  return methods
+}
+
+/**
+ * Destination entered in order form, `null` until it is valid.
+ *
+ * @param {HTMLFormElement} formEl
+ * @returns {Pick<Shipping, 'country' | 'postalCode'> | null}
+ */
+function getShippingDestination (formEl) {
+  /** @type {HTMLInputElement} */
+  const postalCode = formEl.querySelector('#postalCode')
+  /** @type {HTMLSelectElement} */
+  const country = formEl.querySelector('#country')
+
+  if (validateField(postalCode) || validateField(country)) {
+    return null
+  }
+
+  return { country: country.value, postalCode: postalCode.value.trim() }
+}
+
+/**
+ * Destination and method chosen in order form, `null` until both are.
+ *
+ * @param {HTMLFormElement} formEl
+ * @returns {Shipping | null}
+ */
+function getShippingSelection (formEl) {
+  const destination = getShippingDestination(formEl)
+  /** @type {HTMLSelectElement} */
+  const method = formEl.querySelector('#shippingMethod')
+
+  return destination && method.value ? { ...destination, method: method.value } : null
+}
+
+/**
+ * Render shipping methods as select options, keeping the chosen one when it
+ * is still available.
+ *
+ * @param {HTMLSelectElement} selectEl
+ * @param {ShippingMethod[]} methods
+ * @param {boolean} hasDestination
+ * @param {string} currency
+ */
+function renderShippingMethods (selectEl, methods, hasDestination, currency) {
+  const selected = selectEl.value
+  const placeholder = document.createElement('option')
+
+  placeholder.value = ''
+
+  if (!hasDestination) {
+    placeholder.innerText = t('shipping.enterPostalCode')
+  } else {
+    placeholder.innerText = t(methods.length ? 'shipping.choose' : 'shipping.none')
+  }
+
+  const options = methods.map((method) => {
+    const option = document.createElement('option')
+
+    option.value = method.id
+    option.innerText = t('shipping.option', {
+      name: method.name,
+      delay: method.delay,
+      cost: method.cost ? formatMoney(method.cost, currency) : t('shipping.free'),
+    })
+
+    return option
+  })
+
+  selectEl.replaceChildren(placeholder, ...options)
+  selectEl.value = methods.some(({ id }) => id === selected) ? selected : ''
+  selectEl.disabled = !methods.length
+}
+
+/**
+ * Write quoted totals, with the discount line when a promo code applies.
+ *
+ * @param {HTMLElement} el Cart price container
+ * @param {Quote} quote
+ */
+function renderTotals (el, quote) {
+  /** @type {HTMLParagraphElement} */
+  const discountEl = el.querySelector('#discount')
+
+  discountEl.hidden = !quote.promotion
+
+  if (quote.promotion) {
+    discountEl.title = quote.promotion.description
+    el.querySelector('#promotionCode').innerText = quote.promotion.code
+    el.querySelector('#discountPrice').innerText = formatMoney(quote.discount, quote.currency)
+  }
+
+  /** @type {HTMLParagraphElement} */
+  const shippingEl = el.querySelector('#shipping')
+
+  shippingEl.hidden = !quote.shipping
+
+  if (quote.shipping) {
+    el.querySelector('#shippingName').innerText = quote.shipping.name
+    el.querySelector('#shippingPrice').innerText = quote.shipping.cost ? formatMoney(quote.shipping.cost, quote.currency) : t('shipping.free')
+  }
+
+  // prices include VAT, show what it amounts to
+  el.querySelector('#totalExclTax').innerText = formatMoney(quote.tax.totalExclTax, quote.currency)
+  el.querySelector('#taxRate').innerText = quote.tax.rate.toLocaleString(getLocale())
+  el.querySelector('#totalTax').innerText = formatMoney(quote.tax.totalTax, quote.currency)
+  el.querySelector('#taxBreakdown').hidden = false
+
+  el.querySelector('#totalPrice').innerText = formatMoney(quote.total, quote.currency)
+}
+
+/**
+ * Explain why a promo code has been refused.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+function getPromoErrorMessage (err) {
+  if (!(err instanceof ApiError)) {
+    return t('error.default')
+  }
+
+  // why a promo code has been refused is told by `details.reason`
+  const reasonKey = err.code === 'INVALID_PROMO_CODE' && err.details && `promo.${err.details.reason}`
+
+  return reasonKey && hasMessage(reasonKey) ? t(reasonKey) : err.userMessage
+}
+
+/**
+ * Show or clear promo code error.
+ *
+ * @param {HTMLFormElement} formEl Promo code form
+ * @param {string} [message]
+ */
+function showPromoError (formEl, message = '') {
+  /** @type {HTMLInputElement} */
+  const input = formEl.querySelector('#promoCode')
+
+  formEl.querySelector('#promoCodeErrorMsg').innerText = message
+
+  if (message) {
+    input.setAttribute('aria-invalid', 'true')
+  } else {
+    input.removeAttribute('aria-invalid')
+  }
+}
+
+/**
+ * Replace the locally computed total with the one quoted by the API, and
+ * list shipping methods once destination is entered.
+ * A promo code which no longer applies (e.g. basket under its minimum) is
+ * dropped and the cart quoted again without it, so is a shipping method
+ * which doesn't deliver the destination anymore.
+ *
+ * @param {HTMLElement} el Cart price container
+ * @param {CartProducts} items
+ */
+async function renderQuote (el, items) {
+  const requestId = ++quoteRequestId
+  const promoCode = getPromoCode()
+  const formEl = getOrderFormEl()
+  const destination = getShippingDestination(formEl)
+  const shipping = getShippingSelection(formEl)
+
+  el.querySelector('#discount').hidden = true
+  el.querySelector('#shipping').hidden = true
+  el.querySelector('#taxBreakdown').hidden = true
+
+  if (!items.length) {
+    return
+  }
+
+  try {
+    const quote = await fetchQuote(items, promoCode, shipping)
+    const methods = destination ? await fetchShippingMethods(destination, quote) : []
+
+    // cart changed while quoting, a newer quote is on its way
+    if (requestId === quoteRequestId) {
+      renderTotals(el, quote)
+      renderShippingMethods(formEl.querySelector('#shippingMethod'), methods, !!destination, quote.currency)
+    }
+  } catch (err) {
+    if (promoCode && err instanceof ApiError && err.code === 'INVALID_PROMO_CODE') {
+      writePromoCode(null)
+      showPromoError(el.querySelector('#promoForm'), getPromoErrorMessage(err))
+
+      return renderQuote(el, items)
+    }
+
+    if (shipping && err instanceof ApiError && [ 'INVALID_SHIPPING', 'SHIPPING_UNAVAILABLE' ].includes(err.code)) {
+      formEl.querySelector('#shippingMethod').value = ''
+
+      return renderQuote(el, items)
+    }
+
+    // keep the local total
+    console.error(err)
+  }
+}
+
+/**
+ * Quote cart again when destination or shipping method changes.
+ *
+ * @param {Event} event
+ */
+function onShippingChange (event) {
+  /** @type {HTMLInputElement} */
+  const postalCode = getOrderFormEl().querySelector('#postalCode')
+
+  // postal code format depends on country
+  if (event.target.id === 'country' && postalCode.value) {
+    const err = validateField(postalCode)
+
+    if (!err) {
+      ValidationEntryError.clear(postalCode)
+    } else {
+      err.show()
+    }
+  }
+
+  renderQuote(document.querySelector('.cart__price'), cartItems)
+}
+
+/**
+ * Validate promo code against the cart and apply it.
+ *
  * @this {HTMLFormElement}
  * @param {Event} event
  */
-async function onFormSubmit (event) {
+async function onPromoSubmit (event) {
   event.preventDefault()
 
-  const contact = Object.fromEntries((new FormData(this)).entries())
-  const products = getCartFromStorage().map(({ productId }) => productId)
+  /** @type {HTMLInputElement} */
+  const input = this.querySelector('#promoCode')
+  const code = input.value.trim().toUpperCase()
+
+  showPromoError(this)
+
+  if (!code) {
+    return showPromoError(this, t('promo.required'))
+  }
 
   const headers = { 'Content-Type': 'application/json; charset=UTF-8' }
-  const body = JSON.stringify({ contact, products })
+  const body = JSON.stringify({ code, products: getOrderLines(), ...preferences() })
+
+  try {
+    /** @type {Quote} */
+    const quote = await fetchData(new Request(PROMOTION_URL, { method: 'POST', headers, body }))
+
+    // a pending quote without the code must not overwrite this one
+    quoteRequestId++
+
+    writePromoCode(quote.promotion.code)
+    renderTotals(document.querySelector('.cart__price'), quote)
+    input.value = ''
+  } catch (err) {
+    console.error(err)
+    showPromoError(this, getPromoErrorMessage(err))
+  }
+}
+
+/**
+ * Idempotency key of an order, a new one is made when the order changes.
+ *
+ * @param {string} body Order sent to the API
+ * @returns {string}
+ */
+function getIdempotencyKey (body) {
+  if (!checkoutAttempt || checkoutAttempt.body !== body) {
+    // randomUUID is only available to secure contexts
+    const key = window.crypto.randomUUID ? window.crypto.randomUUID() : Date.now().toString(36) + Math.random().toString(36).slice(2)
+
+    checkoutAttempt = { body, key }
+  }
+
+  return checkoutAttempt.key
+}
+
+/**
+ * @this {HTMLFormElement}
+ * @param {Event} event
+ */
+async function onFormSubmit (event) {
+  event.preventDefault()
+
+  /** @type {HTMLParagraphElement} */
+  const orderErrorEl = this.querySelector('#orderErrorMsg')
+
+  orderErrorEl.innerText = ''
+
+  /** @type {Contact} */
+  let contact
+  /** @type {Shipping} */
+  let shipping
+
+  try {
+    ({ contact, shipping } = validateOrderForm(this))
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      return err.showErrors()
+    }
+
+    throw err
+  }
+
+  const products = getOrderLines()
+  const promoCode = getPromoCode()
+
+  // link order to logged in customer
+  const body = JSON.stringify({ contact, shipping, products, ...preferences(), ...(promoCode && { promoCode }) })
+  const headers = { 'Content-Type': 'application/json; charset=UTF-8', 'Idempotency-Key': getIdempotencyKey(body), ...authHeaders() }
+
+  /** @type {HTMLInputElement} */
+  const submitEl = this.querySelector('#order')
+
+  // an order is sent once at a time
+  submitEl.disabled = true
 
   try {
     const req = new Request(ORDER_URL, { method: 'POST', headers, body })
     const { orderId } = await fetchData(req)
 
-    const confirmationURL = new URL(window.location.href)
+    // orders are confirmed once paid
+    const paymentURL = new URL(window.location.href)
 
-    confirmationURL.pathname = confirmationURL.pathname.replace(/cart.html$/, 'confirmation.html')
-    confirmationURL.searchParams.set('orderId', orderId)
+    paymentURL.pathname = paymentURL.pathname.replace(/cart.html$/, 'payment.html')
+    paymentURL.searchParams.set('orderId', orderId)
 
-    writeCartToStorage([])
-    window.location.href = confirmationURL.toString()
+    // cart is emptied once paid
+    writePendingOrderId(orderId)
+    window.location.href = paymentURL.toString()
   } catch (err) {
     console.error(err)
+    renderOrderError(orderErrorEl, err)
+    submitEl.disabled = false
   }
 }
 
+/**
+ * Explain why order failed.
+ *
+ * @param {HTMLElement} el Element where to write error
+ * @param {Error} err
+ */
+function renderOrderError (el, err) {
+  if (!(err instanceof ApiError)) {
+    el.innerText = t('error.default')
+    return
+  }
+
+  const messages = [ err.userMessage ]
+
+  // show contact errors next to their field, other ones with the order error
+  if (err.code === 'INVALID_ORDER' && Array.isArray(err.details)) {
+    /** @type {FieldError[]} */
+    const fieldErrors = err.details
+
+    const otherErrors = showFieldErrors(fieldErrors)
+
+    if (otherErrors.some(({ field }) => field.startsWith('products'))) {
+      messages.push(t('cart.invalidItem'))
+    }
+  }
+
+  // promo code may have run out since it was applied
+  if (err.code === 'INVALID_PROMO_CODE') {
+    writePromoCode(null)
+    document.querySelector('#discount').hidden = true
+    messages.push(t('promo.removed', { message: getPromoErrorMessage(err) }))
+  }
+
+  // tell which items are missing
+  if (err.code === 'INSUFFICIENT_STOCK' && Array.isArray(err.details)) {
+    err.details.forEach(({ productId, sku, color, available }) => {
+      const itemEl = getItemsEl().querySelector(`.cart__item[data-id="${productId}"][data-sku="${CSS.escape(sku)}"]`)
+      const name = itemEl ? itemEl.querySelector('h2').innerText : productId
+
+      messages.push(t('cart.available', { name, color, count: available }))
+    })
+  }
+
+  el.innerText = [ ...new Set(messages) ].join('\r\n')
+}
+
+/**
+ * Contact and shipping fields of the order form.
+ *
+ * @param {HTMLFormElement} formEl
+ * @returns {(HTMLInputElement | HTMLSelectElement)[]}
+ */
+function getOrderInputs (formEl) {
+  return Array.from(formEl.querySelectorAll('.cart__order__form__question input, .cart__order__form__question select'))
+}
+
+/**
+ * Validate every order field.
+ *
+ * @param {HTMLFormElement} formEl
+ * @returns {{ contact: Contact, shipping: Shipping }} Trimmed values
+ * @throws {ValidationError}
+ */
+function validateOrderForm (formEl) {
+  const { postalCode, country, method, ...contact } = validateFields(getOrderInputs(formEl))
+
+  return { contact, shipping: { postalCode, country, method } }
+}
+
+/**
+ * Fill empty contact fields with logged in customer's contact.
+ *
+ * @param {HTMLFormElement} formEl
+ */
+function prefillContact (formEl) {
+  const session = getSession()
+
+  if (!session) {
+    return
+  }
+
+  getOrderInputs(formEl)
+    .filter(input => !input.value && session.user.contact[input.name])
+    .forEach((input) => {
+      input.value = session.user.contact[input.name]
+    })
+}
+
 /**
  * @param {HTMLFormElement} formEl
  * @param {CartProducts} items
@@ -257,6 +726,8 @@ function handleForm (formEl, items) {
 
 const getItemsEl = () => document.querySelector('#cart__items')
 
+const getOrderFormEl = () => document.querySelector('.cart__order__form')
+
 const getCartProducts = products => {
   const cart = getCartFromStorage()
 
@@ -266,15 +737,40 @@ const getCartProducts = products => {
 const updateCartState = products => {
   const items = getCartProducts(products)
 
-  computeQuantity(document.querySelector('#totalQuantity'), items)
+  cartItems = items
+
+  const quantity = computeQuantity(document.querySelector('#totalQuantity'), items)
+
+  document.querySelector('#totalQuantityLabel').innerText = t('cart.items', { count: quantity })
   computePriceByQuantity(document.querySelector('#totalPrice'), items)
+  renderQuote(document.querySelector('.cart__price'), items)
   handleForm(document.querySelector('.cart__order__form'), items)
 }
 
-document.addEventListener('DOMContentLoaded', async function () {
-  /** @type {Products} */
-  const products = await fetchData(PRODUCTS_URL)
+onDocumentReady(async function () {
+  /** @type {HTMLFormElement} */
+  const formEl = document.querySelector('.cart__order__form')
+
+  prefillContact(formEl)
+  handleFieldsValidation(formEl, getOrderInputs(formEl))
+  formEl.querySelectorAll('#postalCode, #country, #shippingMethod').forEach(input => input.addEventListener('change', onShippingChange))
+  document.querySelector('#promoForm').addEventListener('submit', onPromoSubmit)
+
+  try {
+    // merge server cart before rendering
+    const [ products ] = await Promise.all([ fetchData(withPreferences(PRODUCTS_URL)), syncCart() ])
 
-  /** Cart container where to render */
-  renderCart(getItemsEl(), products)
+    // items saved by color are changed by SKU from now on
+    migrateCartItems(products)
+
+    /** Cart container where to render */
+    renderCart(getItemsEl(), products)
+  } catch (err) {
+    console.error(err)
+
+    const p = document.createElement('p')
+
+    p.innerText = err instanceof ApiError ? err.userMessage : t('cart.loadError')
+    getItemsEl().appendChild(p)
+  }
 })
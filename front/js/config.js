@@ -0,0 +1,88 @@
+/** Used when no configuration can be loaded */
+const DEFAULT_CONFIG = {
+  apiUrl: 'https://kanapi.gtnsimon.dev/api/',
+}
+
+const CONFIG_URL = new URL('../config.json', import.meta.url)
+
+/**
+ * Profiles defined in `config.json`, and the one selected by default.
+ *
+ * @returns {Promise<{ profile?: string, profiles?: { [name: string]: Partial<Config> } }>}
+ */
+async function fetchConfigFile () {
+  try {
+    const response = await fetch(CONFIG_URL)
+
+    if (!response.ok) {
+      throw new Error(`${CONFIG_URL} answered ${response.status}`)
+    }
+
+    return await response.json()
+  } catch (err) {
+    console.warn('Configuration file could not be loaded, defaults are used', err)
+
+    return {}
+  }
+}
+
+/**
+ * Configuration set in page `<meta name="kanap:*">` tags.
+ *
+ * @returns {{ profile?: string, apiUrl?: string }}
+ */
+function readMetaConfig () {
+  const content = (name) => {
+    const meta = document.querySelector(`meta[name="kanap:${name}"]`)
+
+    return meta ? meta.content : undefined
+  }
+
+  return { profile: content('profile'), apiUrl: content('api-url') }
+}
+
+/**
+ * Configuration overridden for debugging, e.g.
+ * `localStorage.setItem('config', '{"profile":"development"}')`.
+ *
+ * @returns {{ profile?: string, apiUrl?: string }}
+ */
+function readStoredConfig () {
+  try {
+    return JSON.parse(localStorage.getItem('config')) || {}
+  } catch (err) {
+    console.warn('Stored configuration is not valid JSON, it is ignored', err)
+
+    return {}
+  }
+}
+
+/**
+ * Resolve configuration, by priority: localStorage override, `<meta>` tags,
+ * then the profile selected in `config.json`.
+ *
+ * @returns {Promise<Config>}
+ */
+async function loadConfig () {
+  const file = await fetchConfigFile()
+  const meta = readMetaConfig()
+  const stored = readStoredConfig()
+
+  const profile = stored.profile || meta.profile || file.profile
+  const profiles = file.profiles || {}
+
+  if (profile && !profiles[profile]) {
+    console.warn(`Unknown configuration profile "${profile}", defaults are used`)
+  }
+
+  const config = { ...DEFAULT_CONFIG, ...profiles[profile] }
+
+  config.apiUrl = stored.apiUrl || meta.apiUrl || config.apiUrl
+  // relative URL targets API serving the pages
+  config.apiUrl = new URL(config.apiUrl, window.location.href).toString()
+
+  return Object.freeze({ ...config, profile: profile || null })
+}
+
+/** @type {Config} */
+export const config = await loadConfig()
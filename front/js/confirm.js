@@ -1,6 +1,193 @@
-import { getURLParam } from './utils.js'
+import { BASE_URL, ApiError, fetchData, fetchResponse, authHeaders, getURLParam, formatMoney, createElementFactory, getPendingOrderId, writePendingOrderId, writePromoCode, clearCart, onDocumentReady } from './utils.js'
+import { t, getLocale } from './i18n.js'
 
-document.addEventListener('DOMContentLoaded', async function () {
+const ORDER_URL = id => (BASE_URL + 'orders/' + id)
+const ORDER_STATUS_URL = id => (ORDER_URL(id) + '/status')
+const ORDER_INVOICE_URL = id => (ORDER_URL(id) + '/invoice.pdf')
+
+/** Statuses an order doesn't leave, polling stops there */
+const FINAL_STATUSES = [ 'delivered', 'cancelled', 'refunded' ]
+
+/** Statuses of paid orders, whose cart can be emptied */
+const PAID_STATUSES = [ 'paid', 'preparing', 'shipped', 'delivered', 'refunded' ]
+
+/** Statuses of orders which can be invoiced, refunded ones keep an invoice issued before */
+const INVOICEABLE_STATUSES = [ 'paid', 'preparing', 'shipped', 'delivered' ]
+
+/** Delay between two status checks, in milliseconds */
+const STATUS_POLL_DELAY = 15000
+
+/**
+ * Create an order line element.
+ *
+ * @param {OrderLine} data
+ * @param {string} currency
+ * @returns {HTMLLIElement}
+ */
+function createOrderLineElement (data, currency) {
+  /** @type {{ li: HTMLLIElement, name: HTMLSpanElement, price: HTMLSpanElement }} */
+  const { li, name, price } = createElementFactory('li', 'name:span', 'price:span')
+
+  name.classList.add('confirmation__summary__name')
+  name.innerText = `${data.name} ${data.color} × ${data.quantity}`
+
+  price.classList.add('confirmation__summary__price')
+  price.innerText = formatMoney(data.subtotal, currency);
+
+  [ name, price ].forEach(child => li.appendChild(child))
+
+  return li
+}
+
+/**
+ * Download invoice of an order, requested with customer session as a link can't send it.
+ *
+ * @param {string} orderId
+ */
+async function downloadInvoice (orderId) {
+  try {
+    const response = await fetchResponse(new Request(ORDER_INVOICE_URL(orderId), { headers: authHeaders() }))
+    const [ , fileName = 'invoice.pdf' ] = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition')) || []
+    const url = URL.createObjectURL(await response.blob())
+    const a = document.createElement('a')
+
+    a.href = url
+    a.download = fileName
+    a.click()
+
+    // let the download start before releasing the file
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000)
+  } catch (err) {
+    console.error(err)
+    window.alert(err instanceof ApiError ? err.userMessage : t('error.default'))
+  }
+}
+
+/**
+ * Render order summary to DOM.
+ *
+ * @param {HTMLElement} el Summary container
+ * @param {Order} order
+ */
+function renderOrderSummary (el, order) {
+  const date = el.querySelector('#orderDate')
+  const contact = el.querySelector('#orderContact')
+  const lines = el.querySelector('#orderLines')
+  const discount = el.querySelector('#orderDiscount')
+  const shipping = el.querySelector('#orderShipping')
+  const tax = el.querySelector('#orderTax')
+  const total = el.querySelector('#orderTotal')
+  const invoiceLink = el.querySelector('#orderInvoiceLink')
+
+  renderOrderStatus(el, order.status, Boolean(order.invoice))
+
+  date.dateTime = order.createdAt
+  date.innerText = new Date(order.createdAt).toLocaleDateString(getLocale())
+  contact.innerText = `${order.contact.firstName} ${order.contact.lastName}`
+
+  order.products
+    .map(line => createOrderLineElement(line, order.currency))
+    .forEach(element => lines.appendChild(element))
+
+  if (order.promotion) {
+    discount.querySelector('#orderPromotionCode').innerText = order.promotion.code
+    discount.querySelector('#orderDiscountPrice').innerText = formatMoney(order.discount, order.currency)
+    discount.hidden = false
+  }
+
+  if (order.shipping) {
+    shipping.querySelector('#orderShippingName').innerText = `${order.shipping.name} (${order.shipping.postalCode}, ${order.shipping.country})`
+    shipping.querySelector('#orderShippingPrice').innerText = order.shipping.cost ? formatMoney(order.shipping.cost, order.currency) : t('shipping.free')
+    shipping.hidden = false
+  }
+
+  // orders placed before VAT breakdown have no tax
+  if (order.tax) {
+    tax.querySelector('#orderTotalExclTax').innerText = formatMoney(order.tax.totalExclTax, order.currency)
+    tax.querySelector('#orderTaxRate').innerText = order.tax.rate.toLocaleString(getLocale())
+    tax.querySelector('#orderTotalTax').innerText = formatMoney(order.tax.totalTax, order.currency)
+    tax.hidden = false
+  }
+
+  total.innerText = formatMoney(order.total, order.currency)
+  invoiceLink.href = ORDER_INVOICE_URL(order.orderId)
+  invoiceLink.addEventListener('click', (event) => {
+    event.preventDefault()
+    downloadInvoice(order.orderId)
+  })
+
+  el.hidden = false
+}
+
+/**
+ * Empty cart once the order placed from it is paid, it is kept until then.
+ *
+ * @param {string} orderId
+ * @param {OrderStatus} status
+ */
+async function clearPaidCart (orderId, status) {
+  if (getPendingOrderId() !== orderId || !PAID_STATUSES.includes(status)) {
+    return
+  }
+
+  writePendingOrderId(null)
+  writePromoCode(null)
+  await clearCart()
+}
+
+/**
+ * Render order status.
+ *
+ * @param {HTMLElement} el Summary container
+ * @param {OrderStatus} status
+ * @param {boolean} invoiced Whether an invoice was issued
+ */
+function renderOrderStatus (el, status, invoiced) {
+  const statusEl = el.querySelector('#orderStatus')
+
+  statusEl.dataset.status = status
+  statusEl.innerText = t(`status.${status}`)
+
+  // invoices are issued once paid
+  el.querySelector('#orderInvoice').hidden = !INVOICEABLE_STATUSES.includes(status) && !invoiced
+}
+
+/**
+ * Check order status periodically until it can't change anymore.
+ * Checks are skipped while page is hidden.
+ *
+ * @param {HTMLElement} el Summary container
+ * @param {Order} order
+ */
+function pollOrderStatus (el, order) {
+  let status = order.status
+
+  const poll = async () => {
+    if (!document.hidden) {
+      try {
+        /** @type {{ orderId: string, status: OrderStatus, invoiced: boolean, updatedAt: string }} */
+        const data = await fetchData(new Request(ORDER_STATUS_URL(order.orderId), { headers: authHeaders() }))
+
+        status = data.status
+        renderOrderStatus(el, status, data.invoiced)
+        await clearPaidCart(order.orderId, status)
+      } catch (err) {
+        // keep last known status, next check may succeed
+        console.error(err)
+      }
+    }
+
+    if (!FINAL_STATUSES.includes(status)) {
+      window.setTimeout(poll, STATUS_POLL_DELAY)
+    }
+  }
+
+  if (!FINAL_STATUSES.includes(status)) {
+    window.setTimeout(poll, STATUS_POLL_DELAY)
+  }
+}
+
+onDocumentReady(async function () {
   /** @type {HTMLSpanElement} */
   const el = document.querySelector('#orderId')
 
@@ -8,4 +195,19 @@ document.addEventListener('DOMContentLoaded', async function () {
   const orderId = getURLParam(window.location.href, 'orderId')
 
   el.innerText = orderId
+
+  try {
+    /** @type {Order} */
+    // orders of an account are only shown to their owner
+    const order = await fetchData(new Request(ORDER_URL(orderId), { headers: authHeaders() }))
+
+    const summaryEl = document.querySelector('#orderSummary')
+
+    renderOrderSummary(summaryEl, order)
+    pollOrderStatus(summaryEl, order)
+    await clearPaidCart(order.orderId, order.status)
+  } catch (err) {
+    // summary is optional, order id is still displayed
+    console.error(err)
+  }
 })
@@ -0,0 +1,47 @@
+import { CURRENCIES, getCurrency, writeCurrency, onDocumentReady } from './utils.js'
+import { LOCALES, getLocale, writeLocale, translatePage } from './i18n.js'
+
+/**
+ * Let user choose the currency prices are displayed in.
+ * Page is reloaded so prices are fetched again in this currency.
+ *
+ * @param {HTMLSelectElement} selectEl
+ */
+function handleCurrencySelect (selectEl) {
+  CURRENCIES
+    .map(currency => new Option(currency, currency))
+    .forEach(option => selectEl.appendChild(option))
+
+  selectEl.value = getCurrency()
+
+  selectEl.addEventListener('change', () => {
+    writeCurrency(selectEl.value)
+    window.location.reload()
+  })
+}
+
+/**
+ * Let user choose the language of the storefront.
+ * Each language is named in itself so it can be found whatever the current one.
+ * Page is reloaded so texts and products are fetched again in this language.
+ *
+ * @param {HTMLSelectElement} selectEl
+ */
+function handleLocaleSelect (selectEl) {
+  LOCALES
+    .map(locale => new Option(new Intl.DisplayNames([ locale ], { type: 'language' }).of(locale), locale))
+    .forEach(option => selectEl.appendChild(option))
+
+  selectEl.value = getLocale()
+
+  selectEl.addEventListener('change', () => {
+    writeLocale(selectEl.value)
+    window.location.reload()
+  })
+}
+
+onDocumentReady(function () {
+  translatePage()
+  handleCurrencySelect(document.querySelector('#currency'))
+  handleLocaleSelect(document.querySelector('#locale'))
+})
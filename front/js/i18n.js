@@ -0,0 +1,109 @@
+import fr from './locales/fr.js'
+import en from './locales/en.js'
+
+/** Message catalogs by language, French one is the reference */
+const CATALOGS = { fr, en }
+
+/** Languages the storefront is available in */
+export const LOCALES = Object.keys(CATALOGS)
+
+const DEFAULT_LOCALE = 'fr'
+
+/**
+ * Language chosen by user, or the first browser language available.
+ *
+ * @returns {string}
+ */
+function detectLocale () {
+  const stored = localStorage.getItem('locale')
+
+  if (LOCALES.includes(stored)) {
+    return stored
+  }
+
+  const preferred = (navigator.languages || [ navigator.language ])
+    .filter(Boolean)
+    .map(tag => tag.split('-')[0].toLowerCase())
+    .find(language => LOCALES.includes(language))
+
+  return preferred || DEFAULT_LOCALE
+}
+
+const locale = detectLocale()
+
+// formatters read page language
+document.documentElement.lang = locale
+
+/**
+ * Returns language pages are displayed in.
+ *
+ * @returns {string}
+ */
+export function getLocale () {
+  return locale
+}
+
+/**
+ * Write language pages are displayed in, applied on next page load.
+ *
+ * @param {string} value
+ */
+export function writeLocale (value) {
+  localStorage.setItem('locale', value)
+}
+
+/**
+ * Whether a message exists.
+ *
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasMessage (key) {
+  return key in CATALOGS[locale] || key in CATALOGS[DEFAULT_LOCALE]
+}
+
+/**
+ * Translate a message, falling back to French then to the key.
+ * `{name}` placeholders are replaced by params, plural messages are defined
+ * as `{ one, other }` and picked according to `count` param.
+ *
+ * @param {string} key
+ * @param {{ [name: string]: any }} [params]
+ * @returns {string}
+ */
+export function t (key, params = {}) {
+  const message = key in CATALOGS[locale] ? CATALOGS[locale][key] : CATALOGS[DEFAULT_LOCALE][key]
+
+  if (message === undefined) {
+    return key
+  }
+
+  const text = typeof message === 'object'
+    ? message[new Intl.PluralRules(locale).select(params.count)] || message.other
+    : message
+
+  return text.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match)
+}
+
+/**
+ * Translate static texts of page.
+ * `data-i18n` sets text, `data-i18n-placeholder`, `data-i18n-label` (aria),
+ * `data-i18n-value` and `data-i18n-alt` set attributes.
+ *
+ * @param {ParentNode} [root]
+ */
+export function translatePage (root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.innerText = t(el.dataset.i18n)
+  })
+
+  const attributes = { i18nPlaceholder: 'placeholder', i18nLabel: 'aria-label', i18nValue: 'value', i18nAlt: 'alt' }
+
+  Object.entries(attributes).forEach(([ key, attribute ]) => {
+    const dataAttribute = 'data-' + key.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase())
+
+    root.querySelectorAll(`[${dataAttribute}]`).forEach((el) => {
+      el.setAttribute(attribute, t(el.dataset[key]))
+    })
+  })
+}
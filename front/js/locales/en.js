@@ -0,0 +1,198 @@
+/** English messages, missing keys fall back to French */
+export default {
+  // layout
+  'nav.home': 'Home',
+  'nav.cart': 'Cart',
+  'nav.account': 'Account',
+  'header.currency': 'Currency',
+  'header.language': 'Language',
+  'header.logo': 'Company logo',
+  'footer.phone': 'Phone',
+
+  // API errors, by code
+  'error.default': 'Something went wrong, please try again.',
+  'error.NETWORK_ERROR': 'Unable to reach the server, please check your connection.',
+  'error.ROUTE_NOT_FOUND': 'This service is unavailable.',
+  'error.INVALID_QUERY': 'Search criteria are invalid.',
+  'error.PRODUCT_NOT_FOUND': 'This sofa does not exist or is no longer available.',
+  'error.ORDER_NOT_FOUND': 'This order could not be found.',
+  'error.INVALID_ORDER': 'Your order is incomplete.',
+  'error.INVALID_ORDER_LINE': 'Your cart contains an item which is no longer available.',
+  'error.INSUFFICIENT_STOCK': 'Some items are no longer available in the requested quantity.',
+  'error.UNAUTHORIZED': 'Your session has expired, please log in again.',
+  'error.INVALID_CREDENTIALS': 'Wrong email or password.',
+  'error.INVALID_ACCOUNT': 'Some fields are invalid.',
+  'error.EMAIL_TAKEN': 'An account already exists with this email.',
+  'error.INVALID_PROMO_CODE': 'This promo code is not valid.',
+  'error.INVALID_CURRENCY': 'This currency is not supported.',
+  'error.INVALID_LANGUAGE': 'This language is not supported.',
+  'error.INVALID_SHIPPING': 'Your shipping address is invalid.',
+  'error.SHIPPING_UNAVAILABLE': 'This shipping method is not available for your address.',
+  'error.IDEMPOTENCY_KEY_MISMATCH': 'Another order is already being sent, please reload the page.',
+  'error.INVALID_IDEMPOTENCY_KEY': 'Your order couldn\'t be sent, please try again.',
+  'error.INVALID_PAYMENT': 'Your payment details are incomplete.',
+  'error.PAYMENT_DECLINED': 'Your payment was declined.',
+  'error.PAYMENT_NOT_FOUND': 'This payment can\'t be found.',
+  'error.PAYMENT_NOT_CONFIRMABLE': 'This payment is already being processed.',
+  'error.ORDER_NOT_PAYABLE': 'This order can no longer be paid.',
+  'error.ORDER_NOT_CANCELLABLE': 'This order can no longer be cancelled.',
+  'error.PAYMENT_EXPIRED': 'Your payment has expired, please try again.',
+  'error.PAYMENT_PROVIDER_ERROR': 'The payment service is unavailable, please try again later.',
+  'error.PAYMENT_IN_PROGRESS': 'Your payment is being processed, the order can\'t be cancelled.',
+
+  // form fields
+  'validation.errors': { one: 'Validation error', other: 'Validation errors' },
+  'field.required': 'This field is required',
+  'field.tooLong': 'This field is too long',
+  'field.passwordLength': 'Password must be at least {min} characters long',
+  'field.email': 'Please enter a valid email address',
+  'field.postalCode': 'Please enter a valid postal code for this country',
+  'field.name': 'This field may only contain letters, spaces, hyphens or apostrophes',
+  'field.unknownCountry': 'We do not deliver to this country',
+  'field.invalid': 'This field is invalid',
+  'field.cardNumber': 'Please enter a valid card number',
+  'field.cardExpiry': 'Please enter a date formatted as MM/YY',
+  'field.cardCvc': 'Please enter the 3 or 4 digits on the back of your card',
+  'form.firstName': 'First name: ',
+  'form.lastName': 'Last name: ',
+  'form.address': 'Address: ',
+  'form.city': 'City: ',
+  'form.postalCode': 'Postal code: ',
+  'form.country': 'Country: ',
+  'form.shippingMethod': 'Shipping method: ',
+  'form.email': 'Email: ',
+  'form.password': 'Password: ',
+  'form.cardNumber': 'Card number: ',
+  'form.cardExpiry': 'Expiry date (MM/YY): ',
+  'form.cardExpiryPlaceholder': 'MM/YY',
+  'form.cardCvc': 'Security code: ',
+  'country.FR': 'France',
+  'country.BE': 'Belgium',
+  'country.LU': 'Luxembourg',
+  'country.CH': 'Switzerland',
+
+  // catalog
+  'catalog.title': 'Our products',
+  'catalog.subtitle': 'A range of exclusive items',
+  'catalog.search': 'Search a sofa',
+  'catalog.color': 'Color',
+  'catalog.minPrice': 'Min. price',
+  'catalog.minPriceLabel': 'Minimum price',
+  'catalog.maxPrice': 'Max. price',
+  'catalog.maxPriceLabel': 'Maximum price',
+  'catalog.sort': 'Sort by',
+  'catalog.sortPriceAsc': 'Price, low to high',
+  'catalog.sortPriceDesc': 'Price, high to low',
+  'catalog.sortName': 'Name',
+  'catalog.filter': 'Filter',
+  'catalog.previous': 'Previous',
+  'catalog.next': 'Next',
+  'catalog.page': 'Page {page} of {count}',
+  'catalog.empty': 'No sofa matches your search.',
+  'catalog.loadError': 'Something went wrong while loading products.',
+  'catalog.retry': 'Retry',
+
+  // product
+  'product.price': 'Price: ',
+  'product.description': 'Description:',
+  'product.colorLabel': 'Choose a color:',
+  'product.colorPlaceholder': '--Please choose a color--',
+  'product.quantityLabel': 'Number of items (1-{max}):',
+  'product.addToCart': 'Add to cart',
+  'product.outOfStock': '{color} (out of stock)',
+  'product.chooseColor': 'Please choose a color',
+  'product.unknownColor': 'Unknown color',
+  'product.colorOutOfStock': 'Color out of stock',
+  'product.invalidQuantity': 'Invalid quantity',
+  'product.quantityRange': 'Please choose a quantity between {min} and {max}',
+  'product.remaining': {
+    one: 'Only {count} item left, cart included',
+    other: 'Only {count} items left, cart included',
+  },
+  'product.added': {
+    one: '{count} {name} {color} sofa has been added to your cart',
+    other: '{count} {name} {color} sofas have been added to your cart',
+  },
+  'product.notAdded': 'Something went wrong. Your cart has not been changed.',
+  'product.loadError': 'Something went wrong while loading the product.',
+
+  // cart
+  'cart.pageTitle': 'Cart',
+  'cart.title': 'Your cart',
+  'cart.quantity': 'Qty: ',
+  'cart.delete': 'Remove',
+  'cart.items': { one: 'item', other: 'items' },
+  'cart.discount': 'Discount',
+  'cart.totalExclTax': 'Total excl. VAT',
+  'cart.vat': 'VAT',
+  'cart.totalInclTax': 'Total incl. VAT',
+  'cart.order': 'Order!',
+  'cart.invalidItem': 'An item of your cart is invalid, please remove it.',
+  'cart.available': {
+    one: '{name} {color}: {count} available',
+    other: '{name} {color}: {count} available',
+  },
+  'cart.loadError': 'Something went wrong while loading your cart.',
+  'promo.label': 'Promo code: ',
+  'promo.apply': 'Apply',
+  'promo.required': 'Please enter a promo code.',
+  'promo.removed': '{message} It has been removed from your cart.',
+  'promo.unknown': 'This promo code does not exist.',
+  'promo.not_started': 'This promo code is not active yet.',
+  'promo.expired': 'This promo code has expired.',
+  'promo.usage_limit_reached': 'This promo code is no longer available.',
+  'promo.minimum_not_reached': 'Your cart does not reach the minimum amount of this promo code.',
+  'promo.not_applicable': 'This promo code does not apply to any item of your cart.',
+  'shipping.enterPostalCode': '--Enter your postal code--',
+  'shipping.choose': '--Choose a shipping method--',
+  'shipping.none': '--No shipping available--',
+  'shipping.option': '{name} ({delay}): {cost}',
+  'shipping.free': 'Free',
+
+  // payment
+  'payment.pageTitle': 'Payment',
+  'payment.title': 'Payment',
+  'payment.order': 'Order #',
+  'payment.amount': 'Amount due: ',
+  'payment.submit': 'Pay',
+  'payment.cancel': 'Cancel order and go back to cart',
+  'payment.testCards': 'Test payment: 4242 4242 4242 4242 is accepted, 4000 0000 0000 0002 is declined, 4000 0000 0000 3220 is confirmed after a few seconds.',
+  'payment.loadError': 'Something went wrong while loading your order.',
+  'payment.declined.card_declined': 'Your card was declined.',
+  'payment.declined.insufficient_funds': 'Your card was declined for insufficient funds.',
+  'payment.declined.invalid_number': 'This card number is not valid.',
+  'payment.declined.expired_card': 'Your card has expired.',
+  'payment.declined.invalid_cvc': 'This security code is not valid.',
+
+  // confirmation
+  'confirmation.done': 'Order confirmed!',
+  'confirmation.orderId': 'Your order number is: ',
+  'confirmation.summary': 'Summary',
+  'confirmation.placedOn': 'Order placed on ',
+  'confirmation.by': ' by ',
+  'confirmation.status': 'Status: ',
+  'confirmation.invoice': 'Download the invoice (PDF)',
+  'status.pending': 'Awaiting payment',
+  'status.paid': 'Paid',
+  'status.preparing': 'Being prepared',
+  'status.shipped': 'Shipped',
+  'status.delivered': 'Delivered',
+  'status.cancelled': 'Cancelled',
+  'status.refunded': 'Refunded',
+
+  // account
+  'account.pageTitle': 'Account',
+  'account.title': 'My account',
+  'account.login': 'Log in',
+  'account.submitLogin': 'Log in',
+  'account.register': 'Create an account',
+  'account.submitRegister': 'Create my account',
+  'account.hello': 'Hello ',
+  'account.logout': 'Log out',
+  'account.orders': 'My orders',
+  'account.order': {
+    one: 'Order of {date} ({count} item)',
+    other: 'Order of {date} ({count} items)',
+  },
+  'account.noOrders': 'You have not placed any order yet.',
+}
@@ -0,0 +1,198 @@
+/** French messages, every key must exist here */
+export default {
+  // layout
+  'nav.home': 'Accueil',
+  'nav.cart': 'Panier',
+  'nav.account': 'Compte',
+  'header.currency': 'Devise',
+  'header.language': 'Langue',
+  'header.logo': 'Logo de l\'entreprise',
+  'footer.phone': 'Téléphone',
+
+  // API errors, by code
+  'error.default': 'Une erreur est survenue, veuillez réessayer.',
+  'error.NETWORK_ERROR': 'Impossible de joindre le serveur, veuillez vérifier votre connexion.',
+  'error.ROUTE_NOT_FOUND': 'Le service demandé est indisponible.',
+  'error.INVALID_QUERY': 'Les critères de recherche sont invalides.',
+  'error.PRODUCT_NOT_FOUND': 'Ce canapé n\'existe pas ou n\'est plus disponible.',
+  'error.ORDER_NOT_FOUND': 'Cette commande est introuvable.',
+  'error.INVALID_ORDER': 'Votre commande est incomplète.',
+  'error.INVALID_ORDER_LINE': 'Votre panier contient un article qui n\'est plus disponible.',
+  'error.INSUFFICIENT_STOCK': 'Certains articles ne sont plus disponibles dans la quantité demandée.',
+  'error.UNAUTHORIZED': 'Votre session a expiré, veuillez vous reconnecter.',
+  'error.INVALID_CREDENTIALS': 'Email ou mot de passe incorrect.',
+  'error.INVALID_ACCOUNT': 'Certains champs sont invalides.',
+  'error.EMAIL_TAKEN': 'Un compte existe déjà avec cet email.',
+  'error.INVALID_PROMO_CODE': 'Ce code promo n\'est pas valable.',
+  'error.INVALID_CURRENCY': 'Cette devise n\'est pas prise en charge.',
+  'error.INVALID_LANGUAGE': 'Cette langue n\'est pas prise en charge.',
+  'error.INVALID_SHIPPING': 'Votre adresse de livraison est invalide.',
+  'error.SHIPPING_UNAVAILABLE': 'Ce mode de livraison n\'est pas disponible pour votre adresse.',
+  'error.IDEMPOTENCY_KEY_MISMATCH': 'Une autre commande est déjà en cours d\'envoi, veuillez recharger la page.',
+  'error.INVALID_IDEMPOTENCY_KEY': 'Votre commande n\'a pas pu être envoyée, veuillez réessayer.',
+  'error.INVALID_PAYMENT': 'Vos informations de paiement sont incomplètes.',
+  'error.PAYMENT_DECLINED': 'Votre paiement a été refusé.',
+  'error.PAYMENT_NOT_FOUND': 'Ce paiement est introuvable.',
+  'error.PAYMENT_NOT_CONFIRMABLE': 'Ce paiement est déjà en cours de traitement.',
+  'error.ORDER_NOT_PAYABLE': 'Cette commande ne peut plus être payée.',
+  'error.ORDER_NOT_CANCELLABLE': 'Cette commande ne peut plus être annulée.',
+  'error.PAYMENT_EXPIRED': 'Votre paiement a expiré, veuillez réessayer.',
+  'error.PAYMENT_PROVIDER_ERROR': 'Le service de paiement est indisponible, veuillez réessayer plus tard.',
+  'error.PAYMENT_IN_PROGRESS': 'Votre paiement est en cours de traitement, la commande ne peut pas être annulée.',
+
+  // form fields
+  'validation.errors': { one: 'Erreur de validation', other: 'Erreurs de validation' },
+  'field.required': 'Ce champ est requis',
+  'field.tooLong': 'Ce champ est trop long',
+  'field.passwordLength': 'Le mot de passe doit contenir au moins {min} caractères',
+  'field.email': 'Veuillez saisir une adresse email valide',
+  'field.postalCode': 'Veuillez saisir un code postal valide pour ce pays',
+  'field.name': 'Ce champ ne doit contenir que des lettres, espaces, tirets ou apostrophes',
+  'field.unknownCountry': 'Nous ne livrons pas dans ce pays',
+  'field.invalid': 'Ce champ est invalide',
+  'field.cardNumber': 'Veuillez saisir un numéro de carte valide',
+  'field.cardExpiry': 'Veuillez saisir une date au format MM/AA',
+  'field.cardCvc': 'Veuillez saisir les 3 ou 4 chiffres au dos de votre carte',
+  'form.firstName': 'Prénom: ',
+  'form.lastName': 'Nom: ',
+  'form.address': 'Adresse: ',
+  'form.city': 'Ville: ',
+  'form.postalCode': 'Code postal: ',
+  'form.country': 'Pays: ',
+  'form.shippingMethod': 'Mode de livraison: ',
+  'form.email': 'Email: ',
+  'form.password': 'Mot de passe: ',
+  'form.cardNumber': 'Numéro de carte : ',
+  'form.cardExpiry': 'Date d\'expiration (MM/AA) : ',
+  'form.cardExpiryPlaceholder': 'MM/AA',
+  'form.cardCvc': 'Cryptogramme : ',
+  'country.FR': 'France',
+  'country.BE': 'Belgique',
+  'country.LU': 'Luxembourg',
+  'country.CH': 'Suisse',
+
+  // catalog
+  'catalog.title': 'Nos produits',
+  'catalog.subtitle': 'Une gamme d\'articles exclusifs',
+  'catalog.search': 'Rechercher un canapé',
+  'catalog.color': 'Couleur',
+  'catalog.minPrice': 'Prix min.',
+  'catalog.minPriceLabel': 'Prix minimum',
+  'catalog.maxPrice': 'Prix max.',
+  'catalog.maxPriceLabel': 'Prix maximum',
+  'catalog.sort': 'Trier par',
+  'catalog.sortPriceAsc': 'Prix croissant',
+  'catalog.sortPriceDesc': 'Prix décroissant',
+  'catalog.sortName': 'Nom',
+  'catalog.filter': 'Filtrer',
+  'catalog.previous': 'Précédent',
+  'catalog.next': 'Suivant',
+  'catalog.page': 'Page {page} / {count}',
+  'catalog.empty': 'Aucun canapé ne correspond à votre recherche.',
+  'catalog.loadError': 'Une erreur est survenue lors du chargement des produits.',
+  'catalog.retry': 'Réessayer',
+
+  // product
+  'product.price': 'Prix : ',
+  'product.description': 'Description :',
+  'product.colorLabel': 'Choisir une couleur :',
+  'product.colorPlaceholder': '--SVP, choisissez une couleur --',
+  'product.quantityLabel': 'Nombre d\'articles (1-{max}) :',
+  'product.addToCart': 'Ajouter au panier',
+  'product.outOfStock': '{color} (rupture de stock)',
+  'product.chooseColor': 'Veuillez choisir une couleur',
+  'product.unknownColor': 'Couleur inconnue',
+  'product.colorOutOfStock': 'Couleur en rupture de stock',
+  'product.invalidQuantity': 'Quantité invalide',
+  'product.quantityRange': 'Veuillez choisir une quantité comprise entre {min} et {max}',
+  'product.remaining': {
+    one: 'Il ne reste que {count} exemplaire disponible, panier compris',
+    other: 'Il ne reste que {count} exemplaires disponibles, panier compris',
+  },
+  'product.added': {
+    one: 'Le canapé {name} {color} a été ajouté en {count} exemplaire à votre panier',
+    other: 'Le canapé {name} {color} a été ajouté en {count} exemplaires à votre panier',
+  },
+  'product.notAdded': 'Une erreur est survenue. Le panier n\'a pas été modifié.',
+  'product.loadError': 'Une erreur est survenue lors du chargement du produit.',
+
+  // cart
+  'cart.pageTitle': 'Panier',
+  'cart.title': 'Votre panier',
+  'cart.quantity': 'Qté : ',
+  'cart.delete': 'Supprimer',
+  'cart.items': { one: 'article', other: 'articles' },
+  'cart.discount': 'Réduction',
+  'cart.totalExclTax': 'Total HT',
+  'cart.vat': 'TVA',
+  'cart.totalInclTax': 'Total TTC',
+  'cart.order': 'Commander !',
+  'cart.invalidItem': 'Un article de votre panier est invalide, veuillez le retirer.',
+  'cart.available': {
+    one: '{name} {color} : {count} disponible',
+    other: '{name} {color} : {count} disponibles',
+  },
+  'cart.loadError': 'Une erreur est survenue lors du chargement du panier.',
+  'promo.label': 'Code promo : ',
+  'promo.apply': 'Appliquer',
+  'promo.required': 'Veuillez saisir un code promo.',
+  'promo.removed': '{message} Il a été retiré de votre panier.',
+  'promo.unknown': 'Ce code promo n\'existe pas.',
+  'promo.not_started': 'Ce code promo n\'est pas encore actif.',
+  'promo.expired': 'Ce code promo a expiré.',
+  'promo.usage_limit_reached': 'Ce code promo n\'est plus disponible.',
+  'promo.minimum_not_reached': 'Votre panier n\'atteint pas le montant minimum de ce code promo.',
+  'promo.not_applicable': 'Ce code promo ne s\'applique à aucun article de votre panier.',
+  'shipping.enterPostalCode': '--Saisissez votre code postal--',
+  'shipping.choose': '--Choisissez un mode de livraison--',
+  'shipping.none': '--Aucune livraison possible--',
+  'shipping.option': '{name} ({delay}) : {cost}',
+  'shipping.free': 'Offerte',
+
+  // payment
+  'payment.pageTitle': 'Paiement',
+  'payment.title': 'Paiement',
+  'payment.order': 'Commande n° ',
+  'payment.amount': 'Montant à régler : ',
+  'payment.submit': 'Payer',
+  'payment.cancel': 'Annuler la commande et revenir au panier',
+  'payment.testCards': 'Paiement de test : 4242 4242 4242 4242 est accepté, 4000 0000 0000 0002 est refusé, 4000 0000 0000 3220 est confirmé après quelques secondes.',
+  'payment.loadError': 'Une erreur est survenue lors du chargement de votre commande.',
+  'payment.declined.card_declined': 'Votre carte a été refusée.',
+  'payment.declined.insufficient_funds': 'Votre carte a été refusée pour provision insuffisante.',
+  'payment.declined.invalid_number': 'Ce numéro de carte n\'est pas valide.',
+  'payment.declined.expired_card': 'Votre carte a expiré.',
+  'payment.declined.invalid_cvc': 'Ce cryptogramme n\'est pas valide.',
+
+  // confirmation
+  'confirmation.done': 'Commande validée !',
+  'confirmation.orderId': 'Votre numéro de commande est : ',
+  'confirmation.summary': 'Récapitulatif',
+  'confirmation.placedOn': 'Commande passée le ',
+  'confirmation.by': ' par ',
+  'confirmation.status': 'Statut : ',
+  'confirmation.invoice': 'Télécharger la facture (PDF)',
+  'status.pending': 'En attente de paiement',
+  'status.paid': 'Payée',
+  'status.preparing': 'En préparation',
+  'status.shipped': 'Expédiée',
+  'status.delivered': 'Livrée',
+  'status.cancelled': 'Annulée',
+  'status.refunded': 'Remboursée',
+
+  // account
+  'account.pageTitle': 'Compte',
+  'account.title': 'Mon compte',
+  'account.login': 'Connexion',
+  'account.submitLogin': 'Se connecter',
+  'account.register': 'Créer un compte',
+  'account.submitRegister': 'Créer mon compte',
+  'account.hello': 'Bonjour ',
+  'account.logout': 'Se déconnecter',
+  'account.orders': 'Mes commandes',
+  'account.order': {
+    one: 'Commande du {date} ({count} article)',
+    other: 'Commande du {date} ({count} articles)',
+  },
+  'account.noOrders': 'Vous n\'avez pas encore passé de commande.',
+}
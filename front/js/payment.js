@@ -0,0 +1,182 @@
+import { BASE_URL, ApiError, ValidationError, fetchData, authHeaders, getURLParam, formatMoney, getPendingOrderId, writePendingOrderId, onDocumentReady } from './utils.js'
+import { validateFields, handleFieldsValidation } from './validation.js'
+import { t, hasMessage } from './i18n.js'
+
+const ORDER_URL = id => (BASE_URL + 'orders/' + id)
+const PAYMENTS_URL = BASE_URL + 'payments'
+const CONFIRM_PAYMENT_URL = id => (PAYMENTS_URL + '/' + id + '/confirm')
+const CANCEL_ORDER_URL = id => (ORDER_URL(id) + '/cancel')
+
+/**
+ * Send JSON data to the API.
+ *
+ * @param {string} url
+ * @param {object} data
+ * @returns {Promise<any>}
+ */
+function postData (url, data) {
+  // orders of an account are only paid by their owner
+  const headers = { 'Content-Type': 'application/json; charset=UTF-8', ...authHeaders() }
+
+  return fetchData(new Request(url, { method: 'POST', headers, body: JSON.stringify(data) }))
+}
+
+/**
+ * Bring user to the confirmation of an order.
+ *
+ * @param {string} orderId
+ */
+function goToConfirmation (orderId) {
+  const confirmationURL = new URL(window.location.href)
+
+  confirmationURL.pathname = confirmationURL.pathname.replace(/payment.html$/, 'confirmation.html')
+  confirmationURL.search = ''
+  confirmationURL.searchParams.set('orderId', orderId)
+
+  // payment page isn't kept in history, order can't be paid twice
+  window.location.replace(confirmationURL.toString())
+}
+
+/**
+ * Give up the order and bring user back to cart, which is kept until paid.
+ *
+ * @param {HTMLButtonElement} buttonEl
+ * @param {HTMLElement} errorEl Element where to write error
+ * @param {string} orderId
+ */
+function handleCancel (buttonEl, errorEl, orderId) {
+  buttonEl.addEventListener('click', async () => {
+    errorEl.innerText = ''
+    buttonEl.disabled = true
+
+    try {
+      await postData(CANCEL_ORDER_URL(orderId), {})
+
+      if (getPendingOrderId() === orderId) {
+        writePendingOrderId(null)
+      }
+
+      const cartURL = new URL(window.location.href)
+
+      cartURL.pathname = cartURL.pathname.replace(/payment.html$/, 'cart.html')
+      cartURL.search = ''
+
+      window.location.replace(cartURL.toString())
+    } catch (err) {
+      console.error(err)
+      errorEl.innerText = err instanceof ApiError ? err.userMessage : t('error.default')
+      buttonEl.disabled = false
+    }
+  })
+}
+
+/**
+ * Explain why payment failed, declined ones with the reason given by provider.
+ *
+ * @param {HTMLElement} el Element where to write error
+ * @param {Error} err
+ */
+function renderPaymentError (el, err) {
+  if (!(err instanceof ApiError)) {
+    el.innerText = t('error.default')
+    return
+  }
+
+  const reason = err.code === 'PAYMENT_DECLINED' && err.details && err.details.reason
+
+  el.innerText = reason && hasMessage(`payment.declined.${reason}`) ? t(`payment.declined.${reason}`) : err.userMessage
+}
+
+/**
+ * Charge the card typed in form, until the payment succeeds.
+ *
+ * @param {HTMLFormElement} formEl
+ * @param {Payment} payment
+ */
+function handlePayment (formEl, payment) {
+  const inputs = Array.from(formEl.querySelectorAll('.payment__form__question input'))
+  /** @type {HTMLInputElement} */
+  const submitEl = formEl.querySelector('#pay')
+  const errorEl = formEl.querySelector('#paymentErrorMsg')
+  let current = payment
+
+  handleFieldsValidation(formEl, inputs)
+
+  formEl.addEventListener('submit', async (event) => {
+    event.preventDefault()
+    errorEl.innerText = ''
+
+    let fields
+
+    try {
+      fields = validateFields(inputs)
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        return err.showErrors()
+      }
+
+      throw err
+    }
+
+    const card = { number: fields.cardNumber, expiry: fields.cardExpiry, cvc: fields.cardCvc }
+
+    // a card is charged once at a time
+    submitEl.disabled = true
+
+    try {
+      /** @type {Payment} */
+      const result = await postData(CONFIRM_PAYMENT_URL(current.paymentId), { card })
+
+      // processing payments are confirmed later, confirmation page follows the order status
+      goToConfirmation(result.orderId)
+    } catch (err) {
+      console.error(err)
+      renderPaymentError(errorEl, err)
+
+      // provider forgot the payment, card can be charged again on a new one
+      if (err instanceof ApiError && err.code === 'PAYMENT_EXPIRED') {
+        current = await postData(PAYMENTS_URL, { orderId: current.orderId }).catch((err) => {
+          console.error(err)
+          return current
+        })
+      }
+
+      submitEl.disabled = false
+    }
+  })
+}
+
+onDocumentReady(async function () {
+  /** @type {string} */
+  const orderId = getURLParam(window.location.href, 'orderId')
+  const formEl = document.querySelector('#paymentForm')
+  const errorEl = document.querySelector('#paymentLoadErrorMsg')
+
+  document.querySelector('#orderId').innerText = orderId
+
+  try {
+    /** @type {Order} */
+    const order = await fetchData(new Request(ORDER_URL(orderId), { headers: authHeaders() }))
+
+    if (order.status !== 'pending') {
+      return goToConfirmation(orderId)
+    }
+
+    document.querySelector('#paymentAmount').innerText = formatMoney(order.total, order.currency)
+
+    /** @type {Payment} */
+    const payment = await postData(PAYMENTS_URL, { orderId })
+
+    if (payment.status === 'processing') {
+      return goToConfirmation(orderId)
+    }
+
+    handlePayment(formEl, payment)
+    handleCancel(formEl.querySelector('#cancelOrder'), formEl.querySelector('#paymentErrorMsg'), orderId)
+    formEl.hidden = false
+  } catch (err) {
+    console.error(err)
+    errorEl.innerText = err instanceof ApiError ? err.userMessage : t('payment.loadError')
+    errorEl.hidden = false
+  }
+})
@@ -1,6 +1,7 @@
-import { BASE_URL, setDocumentTitle, fetchData, saveToCart, ValidationEntryError, ValidationError, getURLParam } from './utils.js'
+import { BASE_URL, ApiError, setDocumentTitle, fetchData, withPreferences, formatMoney, saveToCart, ValidationEntryError, ValidationError, getURLParam, availableQuantity, findVariant, getItemVariant, getCartFromStorage, syncCart, MAX_QUANTITY, onDocumentReady } from './utils.js'
+import { t } from './i18n.js'
 
-const PRODUCT_URL = id => (BASE_URL + 'products/' + id)
+const PRODUCT_URL = id => withPreferences(BASE_URL + 'products/' + id)
 
 /**
  * Create a select option.
@@ -36,22 +37,37 @@ function hydrateProduct (el, data) {
   const description = target.querySelector('#description')
 
   const colorsSelect = target.querySelector('#colors')
+  const quantityLabel = target.querySelector('label[for="itemQuantity"]')
 
   // image
   img.alt = data.altTxt
-  img.src = data.imageUrl;
+  img.src = data.imageUrl
+  // half of page width, at most 1400px
+  img.srcset = data.srcset
+  img.sizes = '(max-width: 1400px) 50vw, 700px';
   imgParent.appendChild(img)
 
   // title
   title.innerText = data.name
   // price
-  price.innerText = data.price
+  price.innerText = formatMoney(data.price, data.currency)
   // price
   description.innerText = data.description
+  // quantity
+  quantityLabel.innerText = t('product.quantityLabel', { max: MAX_QUANTITY })
 
-  // colors
-  data.colors
-    .map(color => createOptionElement(color))
+  // colors of variants, out of stock ones can't be selected
+  data.variants
+    .map(({ sku, color }) => {
+      const option = createOptionElement(sku, color)
+
+      if (!availableQuantity(data, sku)) {
+        option.disabled = true
+        option.innerText = t('product.outOfStock', { color })
+      }
+
+      return option
+    })
     .forEach(element => colorsSelect.appendChild(element))
 
   // replace content with product infos
@@ -60,6 +76,64 @@ function hydrateProduct (el, data) {
   return target
 }
 
+/**
+ * Show image and price of a variant, product ones without variant.
+ *
+ * @param {HTMLElement} el Template element
+ * @param {Product} data
+ * @param {Variant | null} variant
+ */
+function renderVariant (el, data, variant) {
+  /** @type {HTMLImageElement} */
+  const img = el.querySelector('.item__img img')
+  const price = el.querySelector('#price')
+  const { imageUrl, srcset, price: value } = variant || data
+
+  img.src = imageUrl
+  img.srcset = srcset
+  price.innerText = formatMoney(value, data.currency)
+}
+
+/**
+ * Show selected variant and bound quantity input to its stock.
+ *
+ * @param {HTMLElement} el Template element
+ * @param {Product} data
+ */
+function handleColorChange (el, data) {
+  /** @type {HTMLSelectElement} */
+  const colorsSelect = el.querySelector('#colors')
+  /** @type {HTMLInputElement} */
+  const quantityInput = el.querySelector('#quantity')
+  const quantityLabel = el.querySelector('label[for="itemQuantity"]')
+
+  colorsSelect.addEventListener('change', () => {
+    const max = colorsSelect.value ? availableQuantity(data, colorsSelect.value) : MAX_QUANTITY
+
+    renderVariant(el, data, findVariant(data, colorsSelect.value))
+
+    quantityInput.max = max
+    quantityLabel.innerText = t('product.quantityLabel', { max })
+
+    if (quantityInput.valueAsNumber > max) {
+      quantityInput.valueAsNumber = max
+    }
+  })
+}
+
+/**
+ * Quantity of a product variant already in cart.
+ *
+ * @param {Product} data
+ * @param {string} sku
+ * @returns {number}
+ */
+function quantityInCart (data, sku) {
+  const item = getCartFromStorage().find(item => item.productId === data._id && (getItemVariant(data, item) || {}).sku === sku)
+
+  return (item && item.quantity) || 0
+}
+
 /**
  * Validate user input to add to cart.
  *
@@ -76,25 +150,29 @@ function validateCartInput (el, data) {
   const minQuantity = quantityInput.min || 1
   const maxQuantity = quantityInput.max || 1
 
-  const color = colorsSelect.value || null
+  const sku = colorsSelect.value || null
   const quantity = quantityInput.valueAsNumber || 0
 
-  // validate color
-  if (!color) {
-    errors.push(new ValidationEntryError('Veuillez choisir une couleur'))
-  } else if (!data.colors.includes(color)) {
-    errors.push(new ValidationEntryError('Couleur inconnue'))
+  // validate variant
+  if (!sku) {
+    errors.push(new ValidationEntryError(t('product.chooseColor')))
+  } else if (!findVariant(data, sku)) {
+    errors.push(new ValidationEntryError(t('product.unknownColor')))
+  } else if (!availableQuantity(data, sku)) {
+    errors.push(new ValidationEntryError(t('product.colorOutOfStock')))
   }
 
   // validate quantity
   if (!Number.isInteger(quantity)) {
-    errors.push(new ValidationEntryError('Quantité invalide'))
+    errors.push(new ValidationEntryError(t('product.invalidQuantity')))
   } else if (quantity < minQuantity || quantity > maxQuantity) {
-    errors.push(new ValidationEntryError(`Veuillez choisir une quantité comprise entre ${minQuantity} et ${maxQuantity}`))
+    errors.push(new ValidationEntryError(t('product.quantityRange', { min: minQuantity, max: maxQuantity })))
+  } else if (sku && quantity + quantityInCart(data, sku) > availableQuantity(data, sku)) {
+    errors.push(new ValidationEntryError(t('product.remaining', { count: availableQuantity(data, sku) })))
   }
 
   if (errors.length === 0) {
-    return { color, quantity }
+    return { sku, quantity }
   }
 
   const err = new ValidationError(errors)
@@ -117,18 +195,14 @@ function handleAddToCart (el, data) {
 
     try {
       // get validated input
-      const { color, quantity } = validateCartInput(el, data)
-
-      // WIP: feedback but nothing is save
-      const nexemplaires = quantity + ' exemplaire' + (quantity >= 2 ? 's' : '')
+      const { sku, quantity } = validateCartInput(el, data)
+      const { color } = findVariant(data, sku)
 
       // indicate if cart is updated
-      if (saveToCart(data, color, acc => acc + quantity)) {
-        const message = `Le canapé ${data.name} ${color} a été ajouté en ${nexemplaires} à votre panier`
-
-        window.alert(message)
+      if (saveToCart(data, sku, acc => acc + quantity)) {
+        window.alert(t('product.added', { name: data.name, color, count: quantity }))
       } else {
-        window.alert(`Une erreur est survenue. Le panier n'a pas été modifié.`)
+        window.alert(t('product.notAdded'))
       }
     } catch (err) {
       console.error(err)
@@ -150,6 +224,7 @@ async function renderProduct (el, product) {
   try {
     const hydratedEl = hydrateProduct(el, product)
 
+    handleColorChange(hydratedEl, product)
     handleAddToCart(hydratedEl, product)
     setDocumentTitle(product.name)
   } catch (err) {
@@ -157,12 +232,37 @@ async function renderProduct (el, product) {
   }
 }
 
-document.addEventListener('DOMContentLoaded', async function () {
-  const productId = getURLParam(window.location.href)
-  const product = await fetchData(PRODUCT_URL(productId))
+/**
+ * Render an error instead of product.
+ *
+ * @param {HTMLElement} el Element where to render error
+ * @param {Error} err Error to explain
+ */
+function renderProductError (el, err) {
+  const target = el.cloneNode()
+  const p = document.createElement('p')
+
+  p.innerText = err instanceof ApiError ? err.userMessage : t('product.loadError')
+  p.style.textAlign = 'center'
+  target.appendChild(p)
+
+  el.parentElement.replaceChild(target, el)
+}
 
+onDocumentReady(async function () {
   /** Product container where to render */
   const item = document.querySelector('.item')
 
-  renderProduct(item, product)
+  // cart may have changed on another device
+  syncCart()
+
+  try {
+    const productId = getURLParam(window.location.href)
+    const product = await fetchData(PRODUCT_URL(productId))
+
+    renderProduct(item, product)
+  } catch (err) {
+    console.error(err)
+    renderProductError(item, err)
+  }
 })
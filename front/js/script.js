@@ -1,7 +1,61 @@
-import { BASE_URL, fetchData, createElementFactory } from './utils.js'
+import { BASE_URL, ApiError, fetchResponse, preferences, formatMoney, createElementFactory, onDocumentReady } from './utils.js'
+import { t } from './i18n.js'
 
 const PRODUCTS_URL = BASE_URL + 'products'
 
+/** Products displayed per page */
+const PAGE_LIMIT = 8
+
+/** Catalog params driven by the toolbar and kept in page URL */
+const CATALOG_PARAMS = [ 'q', 'color', 'minPrice', 'maxPrice', 'sort', 'page' ]
+
+/** Identify the latest products request so stale responses are ignored */
+let productsRequestId = 0
+
+/**
+ * Read catalog params from an URL, ignoring empty ones.
+ *
+ * @param {string | URL} url A valid URL
+ * @returns {URLSearchParams}
+ */
+function getCatalogParams (url) {
+  const { searchParams } = new URL(url)
+
+  return new URLSearchParams(CATALOG_PARAMS
+    .map(param => [ param, searchParams.get(param) ])
+    .filter(([ , value ]) => value))
+}
+
+/**
+ * Build products API URL from catalog params.
+ *
+ * @param {URLSearchParams} params
+ * @returns {string}
+ */
+function getProductsURL (params) {
+  const query = new URLSearchParams(params)
+
+  query.set('limit', PAGE_LIMIT)
+  Object.entries(preferences()).forEach(([ param, value ]) => query.set(param, value))
+
+  return PRODUCTS_URL + '?' + query.toString()
+}
+
+/**
+ * Keep catalog params in page URL so the listing can be shared or reloaded.
+ *
+ * @param {URLSearchParams} params
+ */
+function pushCatalogParams (params) {
+  const url = new URL(window.location.href)
+
+  url.search = params.toString()
+
+  if (url.toString() !== window.location.href) {
+    window.history.pushState(null, '', url.toString())
+  }
+}
+
 /**
  * Create a product element.
  *
@@ -10,9 +64,9 @@ const PRODUCTS_URL = BASE_URL + 'products'
  */
 function createProductElement (data) {
   /**
-   * @type {{ a: HTMLLinkElement, article: HTMLElement, img: HTMLImageElement, h3: HTMLHeadingElement, p: HTMLParagraphElement }}
+   * @type {{ a: HTMLLinkElement, article: HTMLElement, img: HTMLImageElement, h3: HTMLHeadingElement, price: HTMLParagraphElement, p: HTMLParagraphElement }}
    */
-  const { a, article, img, h3, p } = createElementFactory('a', 'article', 'img', 'h3', 'p')
+  const { a, article, img, h3, price, p } = createElementFactory('a', 'article', 'img', 'h3', 'price:p', 'p')
 
   // description
   p.classList.add('productDescription')
@@ -22,12 +76,20 @@ function createProductElement (data) {
   h3.classList.add('productName')
   h3.innerText = data.name
 
+  // price
+  price.classList.add('productPrice')
+  price.innerText = formatMoney(data.price, data.currency)
+
   // image
   img.alt = data.altTxt
-  img.src = data.imageUrl;
+  img.src = data.imageUrl
+  // thumbnails are displayed 160px wide
+  img.srcset = data.srcset
+  img.sizes = '160px'
+  img.loading = 'lazy';
 
   // content
-  [ img, h3, p ].forEach(child => article.appendChild(child))
+  [ img, h3, price, p ].forEach(child => article.appendChild(child))
 
   // link
   a.href = `./product.html?id=${data._id}`
@@ -52,16 +114,66 @@ function renderProductsItems (el, produts) {
   // append each product to list
   elements.forEach(element => target.appendChild(element))
 
+  // tell nothing matches instead of an empty list
+  if (!elements.length) {
+    const p = document.createElement('p')
+
+    p.innerText = t('catalog.empty')
+    target.appendChild(p)
+  }
+
   // replace content with the list of products
   el.parentElement.replaceChild(target, el)
 }
 
+/**
+ * Render pagination controls.
+ *
+ * @param {HTMLElement} el Pagination container
+ * @param {URLSearchParams} params Current catalog params
+ * @param {number} total Count of products matching params
+ */
+function renderPagination (el, params, total) {
+  const page = Number(params.get('page')) || 1
+  const nbPages = Math.ceil(total / PAGE_LIMIT)
+
+  /** @type {HTMLButtonElement} */
+  const previous = el.querySelector('#previousPage')
+  /** @type {HTMLButtonElement} */
+  const next = el.querySelector('#nextPage')
+
+  el.querySelector('#pageInfo').innerText = t('catalog.page', { page, count: nbPages })
+  previous.disabled = page <= 1
+  next.disabled = page >= nbPages
+
+  previous.onclick = () => goToPage(params, page - 1)
+  next.onclick = () => goToPage(params, page + 1)
+
+  el.hidden = nbPages <= 1
+}
+
+/**
+ * Render another page of the catalog.
+ *
+ * @param {URLSearchParams} params Current catalog params
+ * @param {number} page
+ */
+function goToPage (params, page) {
+  const pageParams = new URLSearchParams(params)
+
+  pageParams.set('page', page)
+  pushCatalogParams(pageParams)
+  renderProducts(getItemsEl(), pageParams)
+}
+
 /**
  * Render an error while fetching products.
  *
  * @param {HTMLElement} el Element where to render error
+ * @param {URLSearchParams} params Catalog params to retry with
+ * @param {Error} err Error to explain
  */
-function renderProductsError (el) {
+function renderProductsError (el, params, err) {
   // clone element to prevent updating DOM each time an element is appended
   const target = el.cloneNode()
 
@@ -72,13 +184,13 @@ function renderProductsError (el) {
   /** Retry button */
   const button = document.createElement('button')
 
-  p.innerText = 'Une erreur est survenue lors du chargement des produits.'
-  button.innerText = 'Réessayer'
+  p.innerText = err instanceof ApiError ? err.userMessage : t('catalog.loadError')
+  button.innerText = t('catalog.retry')
 
   // listen for retry
   button.addEventListener('click', (e) => {
     e.preventDefault()
-    renderProducts(target)
+    renderProducts(target, params)
   }, { once: true });
 
   // align text center using style as it is temporary
@@ -98,22 +210,90 @@ function renderProductsError (el) {
  * If it fails to fetch it handles error nicely.
  *
  * @param {HTMLElement} el Element where to render products
+ * @param {URLSearchParams} params Catalog params
  */
-async function renderProducts (el) {
+async function renderProducts (el, params) {
+  const requestId = ++productsRequestId
+
   try {
+    const response = await fetchResponse(getProductsURL(params))
     /** @type {Products} */
-    const products = await fetchData(PRODUCTS_URL)
+    const products = await response.json()
+    const total = Number(response.headers.get('X-Total-Count')) || products.length
+
+    // a newer render replaces the listing, element may be detached already
+    if (requestId !== productsRequestId) {
+      return
+    }
 
     renderProductsItems(el, products)
+    renderPagination(document.querySelector('#pagination'), params, total)
   } catch (err) {
+    if (requestId !== productsRequestId) {
+      return
+    }
+
     console.error(err)
-    renderProductsError(el)
+    renderProductsError(el, params, err)
   }
 }
 
-document.addEventListener('DOMContentLoaded', function () {
-  /** Products container where to render */
-  const items = document.querySelector('#items')
+/**
+ * Fill toolbar fields from catalog params.
+ *
+ * @param {HTMLFormElement} formEl
+ * @param {URLSearchParams} params
+ */
+function fillToolbar (formEl, params) {
+  Array.from(formEl.elements)
+    .filter(field => field.name)
+    .forEach((field) => {
+      field.value = params.get(field.name) || ''
+    })
+}
+
+/**
+ * Registers toolbar and history events to update the listing.
+ *
+ * @param {HTMLFormElement} formEl
+ */
+function handleToolbar (formEl) {
+  formEl.addEventListener('submit', (e) => {
+    e.preventDefault()
+
+    // a new search starts back on first page
+    const params = new URLSearchParams(Array.from(new FormData(formEl).entries())
+      .filter(([ , value ]) => value !== ''))
+
+    pushCatalogParams(params)
+    renderProducts(getItemsEl(), params)
+  })
 
-  renderProducts(items)
+  formEl.addEventListener('change', (e) => {
+    // sorting applies immediately
+    if (e.target.name === 'sort') {
+      formEl.requestSubmit()
+    }
+  })
+
+  window.addEventListener('popstate', () => {
+    const params = getCatalogParams(window.location.href)
+
+    fillToolbar(formEl, params)
+    renderProducts(getItemsEl(), params)
+  })
+}
+
+const getItemsEl = () => document.querySelector('#items')
+
+onDocumentReady(function () {
+  const params = getCatalogParams(window.location.href)
+  /** @type {HTMLFormElement} */
+  const toolbar = document.querySelector('#toolbar')
+
+  fillToolbar(toolbar, params)
+  handleToolbar(toolbar)
+
+  /** Products container where to render */
+  renderProducts(getItemsEl(), params)
 })
@@ -1,29 +1,133 @@
-export const BASE_URL = 'https://kanapi.gtnsimon.dev/api/'
+import { t, hasMessage, getLocale } from './i18n.js'
+import { config } from './config.js'
+
+export const BASE_URL = config.apiUrl
+
+const CARTS_URL = BASE_URL + 'carts'
+
+/** Currencies prices can be displayed in, the catalog one first */
+export const CURRENCIES = [ 'EUR', 'USD', 'GBP', 'CHF' ]
+
+/** Maximum quantity of a product by color in cart */
+export const MAX_QUANTITY = 100
+
+export class ApiError extends Error {
+  /**
+   * @param {number} status HTTP status, `0` when server can't be reached
+   * @param {string} code
+   * @param {string} message
+   * @param {any} details
+   */
+  constructor (status, code, message, details = null) {
+    super(message)
+
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+
+  /**
+   * Message to display to users.
+   *
+   * @returns {string}
+   */
+  get userMessage () {
+    // messages are defined by API error code
+    return hasMessage(`error.${this.code}`) ? t(`error.${this.code}`) : t('error.default')
+  }
+}
 
 export class ValidationError extends Error {
   /**
    * @param {ValidationEntryError[]} errors
    */
   constructor (errors) {
-    super(`Erreur${errors.length >= 2 ? 's' : ''} de validation`)
+    super(t('validation.errors', { count: errors.length }))
 
     this.errors = errors
     this.nbErrors = errors.length
   }
 
   showErrors () {
-    const messages = this.errors.map(err => err.message).join('\r\n')
+    // errors bound to a field are written next to it, others are alerted
+    const messages = this.errors.filter(err => !err.show()).map(err => err.message).join('\r\n')
+
+    if (messages) {
+      window.alert(messages)
+    }
+
+    // bring user to the first field to fix
+    const fieldError = this.errors.find(err => err.el)
 
-    window.alert(messages)
+    if (fieldError) {
+      fieldError.el.focus()
+    }
   }
 }
 
 export class ValidationEntryError extends Error {
+  /**
+   * @param {string} message
+   * @param {HTMLElement} [el] Field in error, message is written to `#<id>ErrorMsg` when it exists
+   */
   constructor (message, el) {
     super(message)
 
     this.el = el
   }
+
+  /**
+   * Write message next to field.
+   *
+   * @returns {boolean} `true` if message has been written
+   */
+  show () {
+    const messageEl = ValidationEntryError.getMessageEl(this.el)
+
+    if (!messageEl) {
+      return false
+    }
+
+    messageEl.innerText = this.message
+    this.el.setAttribute('aria-invalid', 'true')
+
+    return true
+  }
+
+  /**
+   * Element where to write field's message.
+   *
+   * @param {HTMLElement} [el] Field
+   * @returns {HTMLElement | null}
+   */
+  static getMessageEl (el) {
+    return (el && el.id && document.getElementById(`${el.id}ErrorMsg`)) || null
+  }
+
+  /**
+   * Remove message written next to field.
+   *
+   * @param {HTMLElement} el Field
+   */
+  static clear (el) {
+    const messageEl = ValidationEntryError.getMessageEl(el)
+
+    if (messageEl) {
+      messageEl.innerText = ''
+    }
+
+    el.removeAttribute('aria-invalid')
+  }
+
+  /**
+   * Whether a message is displayed for field.
+   *
+   * @param {HTMLElement} el Field
+   * @returns {boolean}
+   */
+  static isShown (el) {
+    return el.getAttribute('aria-invalid') === 'true'
+  }
 }
 
 /**
@@ -37,37 +141,151 @@ export function sum (...values) {
 }
 
 /**
- * Format price to fixed 2 digits according to locale.
+ * Run callback once page is parsed.
+ * Modules wait for configuration to load, page may already be parsed then.
+ *
+ * @param {() => void} callback
+ */
+export function onDocumentReady (callback) {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', callback)
+  } else {
+    callback()
+  }
+}
+
+/**
+ * Returns currency prices are displayed in, the catalog one by default.
+ *
+ * @returns {string} ISO 4217 code
+ */
+export function getCurrency () {
+  const currency = localStorage.getItem('currency')
+
+  return CURRENCIES.includes(currency) ? currency : CURRENCIES[0]
+}
+
+/**
+ * Write currency prices are displayed in.
+ *
+ * @param {string} currency
+ */
+export function writeCurrency (currency) {
+  localStorage.setItem('currency', currency)
+}
+
+/**
+ * Add currency prices and language texts must be answered in to an API URL.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function withPreferences (url) {
+  const Url = new URL(url)
+
+  Url.searchParams.set('currency', getCurrency())
+  Url.searchParams.set('lang', getLocale())
+
+  return Url.toString()
+}
+
+/**
+ * Currency and language to send in API request bodies.
+ *
+ * @returns {{ currency: string, lang: string }}
+ */
+export function preferences () {
+  return { currency: getCurrency(), lang: getLocale() }
+}
+
+/**
+ * Format an amount with its currency according to page locale.
  *
  * @param {number} value
+ * @param {string} [currency] Defaults to the chosen currency
  * @returns {string}
  */
-export function localePrice (value) {
-  return value.toLocaleString(undefined, {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
-  })
+export function formatMoney (value, currency = getCurrency()) {
+  return new Intl.NumberFormat(document.documentElement.lang || undefined, {
+    style: 'currency',
+    currency,
+  }).format(value)
 }
 
 /**
- * Fetch data from API.
+ * Variant of a product.
+ *
+ * @param {Product} data
+ * @param {string} sku
+ * @returns {Variant | null}
+ */
+export function findVariant (data, sku) {
+  return data.variants.find(variant => variant.sku === sku) || null
+}
+
+/**
+ * Variant a cart item refers to, items saved before variants existed refer to a color.
+ *
+ * @param {Product} data
+ * @param {CartItem} item
+ * @returns {Variant | null}
+ */
+export function getItemVariant (data, item) {
+  return item.sku ? findVariant(data, item.sku) : data.variants.find(variant => variant.color === item.color) || null
+}
+
+/**
+ * Quantity available to order for a product variant.
+ * Variants without stock are not tracked.
+ *
+ * @param {Product} data
+ * @param {string} sku
+ * @returns {number}
+ */
+export function availableQuantity (data, sku) {
+  const variant = findVariant(data, sku)
+
+  if (!variant) {
+    return 0
+  }
+
+  return variant.stock === undefined ? MAX_QUANTITY : Math.min(MAX_QUANTITY, variant.stock)
+}
+
+/**
+ * Fetch from API, rejecting unsuccessful responses with an `ApiError`.
  *
  * @param {RequestInfo} input
- * @returns {Promise} Response data
+ * @returns {Promise<Response>} Response, to read headers from
  */
-export function fetchData (input) {
+export function fetchResponse (input) {
   return fetch(input)
-    .then((response) => {
-      // is response status is valid to return to json?
-      if ([ 200, 201 ].includes(response.status)) {
-        return response.json()
+    .catch(err => Promise.reject(new ApiError(0, 'NETWORK_ERROR', err.message)))
+    .then(async (response) => {
+      // is response status is valid to return?
+      if (response.ok) {
+        return response
       }
 
-      // throw otherwise
-      return Promise.reject(new Error(response))
+      // throw otherwise, with error sent by API if any
+      const data = await response.json().catch(() => null)
+      const { code = 'HTTP_ERROR', message = response.statusText, details = null } = (data && data.error) || {}
+
+      return Promise.reject(new ApiError(response.status, code, message, details))
     })
 }
 
+/**
+ * Fetch data from API.
+ *
+ * @param {RequestInfo} input
+ * @returns {Promise} Response data
+ */
+export function fetchData (input) {
+  return fetchResponse(input)
+    .then(response => response.json())
+}
+
 
 /**
  * Returns a param value from a valid URL.
@@ -83,6 +301,90 @@ export function getURLParam (url, param = 'id') {
   return value
 }
 
+/**
+ * Returns session of logged in customer from localStorage.
+ *
+ * @returns {Session | null}
+ */
+export function getSession () {
+  try {
+    return JSON.parse(localStorage.getItem('session')) || null
+  } catch (err) {
+    console.error(err)
+
+    return null
+  }
+}
+
+/**
+ * Write session to storage, or forget it.
+ *
+ * @param {Session | null} session
+ */
+export function writeSession (session) {
+  if (session) {
+    localStorage.setItem('session', JSON.stringify(session))
+  } else {
+    localStorage.removeItem('session')
+  }
+}
+
+/**
+ * Returns promo code applied to cart.
+ *
+ * @returns {string | null}
+ */
+export function getPromoCode () {
+  return localStorage.getItem('promoCode') || null
+}
+
+/**
+ * Write promo code applied to cart, or forget it.
+ *
+ * @param {string | null} code
+ */
+export function writePromoCode (code) {
+  if (code) {
+    localStorage.setItem('promoCode', code)
+  } else {
+    localStorage.removeItem('promoCode')
+  }
+}
+
+/**
+ * Returns order placed from cart and waiting for payment.
+ *
+ * @returns {string | null}
+ */
+export function getPendingOrderId () {
+  return localStorage.getItem('pendingOrderId') || null
+}
+
+/**
+ * Write order placed from cart, or forget it. Cart is kept until this
+ * order is paid, so a failed or given up payment can be ordered again.
+ *
+ * @param {string | null} orderId
+ */
+export function writePendingOrderId (orderId) {
+  if (orderId) {
+    localStorage.setItem('pendingOrderId', orderId)
+  } else {
+    localStorage.removeItem('pendingOrderId')
+  }
+}
+
+/**
+ * Headers authenticating requests of logged in customer.
+ *
+ * @returns {{ Authorization?: string }}
+ */
+export function authHeaders () {
+  const session = getSession()
+
+  return session ? { Authorization: `Bearer ${session.token}` } : {}
+}
+
 /**
  * Returns cart from localStorage.
  *
@@ -126,42 +428,249 @@ export function writeCartToStorage (cart) {
   }
 }
 
+/**
+ * Give items saved before variants existed the SKU of their color, in
+ * localStorage. Items of a same variant are merged keeping the highest
+ * quantity, items of colors no longer sold are kept for the server to drop.
+ *
+ * @param {Products} products
+ * @returns {Cart}
+ */
+export function migrateCartItems (products) {
+  const cart = getCartFromStorage()
+
+  if (cart.every(item => item.sku)) {
+    return cart
+  }
+
+  const migrated = cart.reduce((items, item) => {
+    const product = !item.sku && products.find(({ _id }) => _id === item.productId)
+    const variant = product && getItemVariant(product, item)
+    const { color, ...rest } = item
+    const current = variant ? { ...rest, sku: variant.sku } : item
+    const existing = items.find(other => isSameItem(other, current))
+
+    if (existing) {
+      existing.quantity = Math.max(existing.quantity, current.quantity)
+
+      return items
+    }
+
+    return [ ...items, current ]
+  }, [])
+
+  writeCartToStorage(migrated)
+
+  return migrated
+}
+
+/**
+ * Send JSON to the server carts API.
+ *
+ * @param {string} method
+ * @param {string} path Path relative to carts URL
+ * @param {object} [data] Request body
+ * @returns {Promise<ServerCart>}
+ */
+function sendCart (method, path, data) {
+  const headers = { 'Content-Type': 'application/json; charset=UTF-8' }
+  const body = data && JSON.stringify(data)
+
+  return fetchData(new Request(CARTS_URL + path, { method, headers, body }))
+}
+
+/**
+ * Whether cart items refer to the same product variant.
+ * Items saved before variants existed are matched by color.
+ *
+ * @param {CartItem} item
+ * @param {CartItem} other
+ * @returns {boolean}
+ */
+function isSameItem (item, other) {
+  return item.productId === other.productId && (item.sku || item.color) === (other.sku || other.color)
+}
+
+/**
+ * Merge carts, keeping the highest quantity of items found in both
+ * so nothing added on either side is lost.
+ *
+ * @param {Cart} local
+ * @param {Cart} remote
+ * @returns {Cart}
+ */
+export function mergeCarts (local, remote) {
+  const merged = local.map(item => ({ ...item }))
+
+  remote.forEach((remoteItem) => {
+    const item = merged.find(item => isSameItem(item, remoteItem))
+
+    if (item) {
+      item.quantity = Math.max(item.quantity, remoteItem.quantity)
+    } else {
+      merged.push({ ...remoteItem })
+    }
+  })
+
+  return merged
+}
+
+/**
+ * Apply to a cart the changes made to the local cart from `before` to
+ * `after`: added, updated and removed items.
+ *
+ * @param {Cart} cart
+ * @param {Cart} before
+ * @param {Cart} after
+ * @returns {Cart}
+ */
+function applyCartChanges (cart, before, after) {
+  const removed = before.filter(item => !after.some(other => isSameItem(item, other)))
+  const changed = after.filter(item => !before.some(other => isSameItem(item, other) && other.quantity === item.quantity))
+
+  const kept = cart.filter(item => ![ ...removed, ...changed ].some(other => isSameItem(item, other)))
+
+  return [ ...kept, ...changed.map(item => ({ ...item })) ]
+}
+
+/**
+ * Synchronize cart from localStorage with the server cart, creating it on
+ * first visit. The cart keeps working locally if server can't be reached.
+ * Items changed while synchronizing are kept and sent to the server too.
+ *
+ * @returns {Promise<Cart>} Synchronized cart
+ */
+export async function syncCart () {
+  const local = getCartFromStorage()
+  const cartId = localStorage.getItem('cartId')
+
+  try {
+    /** @type {ServerCart | null} */
+    let remote = null
+
+    if (cartId) {
+      remote = await fetchData(`${CARTS_URL}/${cartId}`).catch((err) => {
+        // cart is gone, a new one is created below
+        return err instanceof ApiError && err.code === 'CART_NOT_FOUND' ? null : Promise.reject(err)
+      })
+    }
+
+    if (!remote) {
+      remote = await sendCart('POST', '', { products: local })
+      localStorage.setItem('cartId', remote.cartId)
+    } else {
+      const merged = mergeCarts(local, remote.products)
+
+      // server misses some local changes, or items still refer to a color
+      if (JSON.stringify(merged) !== JSON.stringify(remote.products) || merged.some(item => !item.sku)) {
+        remote = await sendCart('PUT', `/${cartId}`, { products: merged })
+      }
+    }
+
+    // server answers items by SKU, local changes made meanwhile still apply
+    const products = applyCartChanges(remote.products, local, getCartFromStorage())
+    const { cartId: remoteId } = remote
+
+    writeCartToStorage(products)
+
+    if (JSON.stringify(products) !== JSON.stringify(remote.products)) {
+      queueCartChange(() => sendCart('PUT', `/${remoteId}`, { products }))
+    }
+
+    return products
+  } catch (err) {
+    console.error(err)
+
+    return local
+  }
+}
+
+/** Cart changes sent to server, one after the other so they apply in order */
+let pendingCartChanges = Promise.resolve()
+
+/**
+ * Send a cart change to the server once previous ones are done.
+ *
+ * @param {() => Promise<ServerCart>} send
+ */
+function queueCartChange (send) {
+  pendingCartChanges = pendingCartChanges
+    .then(send)
+    .catch(err => console.error(err))
+}
+
+/**
+ * Report a cart change to the server cart, without waiting for it.
+ *
+ * @param {RecordsType} type
+ * @param {CartItem} item
+ */
+function pushCartChange (type, item) {
+  const cartId = localStorage.getItem('cartId')
+
+  // not synchronized yet, next sync sends whole cart
+  if (!cartId) {
+    return
+  }
+
+  const path = `/${cartId}/lines/${encodeURIComponent(item.productId)}/${encodeURIComponent(item.sku)}`
+
+  queueCartChange(() => type === 'remove'
+    ? sendCart('DELETE', path)
+    : sendCart('PUT', path, { quantity: item.quantity }))
+}
+
+/**
+ * Empty cart, locally and on server.
+ *
+ * @returns {Promise<boolean>} `true` if cart has been emptied in localStorage
+ */
+export async function clearCart () {
+  const cartId = localStorage.getItem('cartId')
+
+  if (cartId) {
+    await sendCart('DELETE', `/${cartId}/lines`).catch(err => console.error(err))
+  }
+
+  return writeCartToStorage([])
+}
+
 /**
  * Create a cart item entry.
  *
  * @param {Product} data
- * @param {CartItem['color']} color
+ * @param {CartItem['sku']} sku
  * @param {CartItem['quantity']} quantity
  *
  * @returns {CartItem}
  */
-export function createCartItem (data, color, quantity) {
+export function createCartItem (data, sku, quantity) {
   return {
     productId: data._id,
-    color,
+    sku,
     quantity,
   }
 }
 
 /**
- * - Update quantity if an item already exists in cart matching id and color.
+ * - Update quantity if an item already exists in cart matching id and variant.
  * - Otherwise create an item with corresponding crietrias.
  *
  * @param {Cart} cart
  * @param {Product} data
- * @param {CartItem['color']} color
+ * @param {CartItem['sku']} sku
  * @param {number | (quantity: number) => number} quantity
  *
  * @returns {[ type: RecordsType, item?: CartItem, index?: number ]} Indicate what kind of action to do with this item
  */
-export function createCartRecord (cart, data, color, quantity) {
+export function createCartRecord (cart, data, sku, quantity) {
   /** @type {RecordsType} */
   let type
   /** @type {CartItem} */
   let item
 
   // get item from cart if exists or null
-  const itemIdx = cart.findIndex(item => item.productId === data._id && item.color === color)
+  const itemIdx = cart.findIndex(item => item.productId === data._id && (getItemVariant(data, item) || {}).sku === sku)
   item = cart[itemIdx] || null
 
   // allow increment cart value on existing item
@@ -169,30 +678,31 @@ export function createCartRecord (cart, data, color, quantity) {
 
   if (item && (!quantityValue || quantityValue <= 0)) {
     type = 'remove'
+    item = createCartItem(data, sku, item.quantity)
   } else if (item) {
-    // it is an update of quantity if an item already exsists with the color
+    // it is an update of quantity if an item already exsists with the variant
     type = 'update'
-    item = createCartItem(data, item.color, quantityValue)
+    item = createCartItem(data, sku, quantityValue)
   } else {
     // it is an insert otherwise
     type = 'insert'
-    item = createCartItem(data, color, quantityValue)
+    item = createCartItem(data, sku, quantityValue)
   }
 
   return [ type, item, itemIdx ]
 }
 
 /**
- * Save a product to cart.
+ * Save a product variant to cart.
  *
  * @param {Product} data
- * @param {string} color
+ * @param {string} sku
  * @param {number | (quantity: number) => number} quantity
  * @param {SaveHandlers} handlers Callback to run after wirtting to storage
  */
-export function saveToCart (data, color, quantity, handlers = {}) {
+export function saveToCart (data, sku, quantity, handlers = {}) {
   const cart = getCartFromStorage()
-  const [ type, item, index ] = createCartRecord(cart, data, color, quantity)
+  const [ type, item, index ] = createCartRecord(cart, data, sku, quantity)
 
   switch (type) {
     case 'remove':
@@ -207,6 +717,8 @@ export function saveToCart (data, color, quantity, handlers = {}) {
   }
 
   if (writeCartToStorage(cart)) {
+    pushCartChange(type, item)
+
     if (handlers && handlers[type] && typeof handlers[type] === 'function') {
       handlers[type](item)
     }
@@ -240,7 +752,7 @@ export function computeQuantity (el, cart) {
 export function computePriceByQuantity (el, cart) {
   const total = sum(...cart.map(item => item.price * item.quantity))
 
-  el.innerText = localePrice(total)
+  el.innerText = formatMoney(total)
 
   return total
 }
@@ -0,0 +1,181 @@
+import { ValidationError, ValidationEntryError } from './utils.js'
+import { t } from './i18n.js'
+
+const NAME_PATTERN = /^\p{L}+(?:[ '’-]\p{L}+)*$/u
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MAX_LENGTH = 100
+const PASSWORD_MIN_LENGTH = 8
+
+/** Format expected by field, mirroring API validation */
+const FIELD_FORMATS = {
+  firstName: NAME_PATTERN,
+  lastName: NAME_PATTERN,
+  email: EMAIL_PATTERN,
+  cardNumber: /^(?:\d[ -]?){11,18}\d$/,
+  cardExpiry: /^(?:0[1-9]|1[0-2]) ?\/ ?\d{2}$/,
+  cardCvc: /^\d{3,4}$/,
+}
+
+/** Message key by field refused for its format, name fields by default */
+const FORMAT_MESSAGES = {
+  email: 'field.email',
+  postalCode: 'field.postalCode',
+  cardNumber: 'field.cardNumber',
+  cardExpiry: 'field.cardExpiry',
+  cardCvc: 'field.cardCvc',
+}
+
+/** Postal code format by delivered country, mirroring API validation */
+const POSTAL_CODE_FORMATS = {
+  FR: /^\d{5}$/,
+  BE: /^\d{4}$/,
+  LU: /^\d{4}$/,
+  CH: /^\d{4}$/,
+}
+
+/** Field id by API field name, when it isn't the last part of the name */
+const FIELD_IDS = {
+  'shipping.method': 'shippingMethod',
+}
+
+/**
+ * Message describing why a field is refused.
+ *
+ * @param {string} name Field name
+ * @param {string} code Field error code, same as API ones
+ * @returns {string}
+ */
+export function fieldErrorMessage (name, code) {
+  switch (code) {
+    case 'required':
+      return t('field.required')
+    case 'too_long':
+      return t('field.tooLong')
+    case 'invalid_length':
+      return t('field.passwordLength', { min: PASSWORD_MIN_LENGTH })
+    case 'invalid_format':
+      return t(FORMAT_MESSAGES[name] || 'field.name')
+    case 'unknown_country':
+      return t('field.unknownCountry')
+    default:
+      return t('field.invalid')
+  }
+}
+
+/**
+ * Format expected by field, postal code one depends on the selected country.
+ *
+ * @param {HTMLInputElement | HTMLSelectElement} input
+ * @returns {RegExp | undefined}
+ */
+function getFieldFormat (input) {
+  if (input.name !== 'postalCode') {
+    return FIELD_FORMATS[input.name]
+  }
+
+  const country = input.form && input.form.elements.namedItem('country')
+
+  return country ? POSTAL_CODE_FORMATS[country.value] : undefined
+}
+
+/**
+ * Validate a field according to its name.
+ *
+ * @param {HTMLInputElement | HTMLSelectElement} input
+ * @returns {ValidationEntryError | null} Error to show, `null` when valid
+ */
+export function validateField (input) {
+  // passwords are sent as typed
+  const value = input.type === 'password' ? input.value : input.value.trim()
+  const format = getFieldFormat(input)
+
+  let code = null
+
+  if (!value) {
+    code = 'required'
+  } else if (input.type === 'password' && value.length < PASSWORD_MIN_LENGTH) {
+    code = 'invalid_length'
+  } else if (input.type !== 'password' && value.length > MAX_LENGTH) {
+    code = 'too_long'
+  } else if (format && !format.test(value)) {
+    code = 'invalid_format'
+  }
+
+  return code && new ValidationEntryError(fieldErrorMessage(input.name, code), input)
+}
+
+/**
+ * Validate every field.
+ *
+ * @param {HTMLInputElement[]} inputs
+ * @returns {{ [name: string]: string }} Values by field name, trimmed
+ * @throws {ValidationError}
+ */
+export function validateFields (inputs) {
+  const errors = inputs.map(input => validateField(input)).filter(Boolean)
+
+  if (errors.length) {
+    throw new ValidationError(errors)
+  }
+
+  return Object.fromEntries(inputs.map(input => [ input.name, input.type === 'password' ? input.value : input.value.trim() ]))
+}
+
+/**
+ * Validate fields while user types.
+ * A field is first checked when leaving it, then on each change.
+ *
+ * @param {HTMLFormElement} formEl
+ * @param {HTMLInputElement[]} inputs
+ */
+export function handleFieldsValidation (formEl, inputs) {
+  // messages are rendered inline instead of browser's bubbles
+  formEl.noValidate = true
+
+  inputs.forEach((input) => {
+    /** @param {Event} event */
+    function onChange (event) {
+      const err = validateField(input)
+
+      if (!err) {
+        ValidationEntryError.clear(input)
+      } else if (event.type === 'blur' || ValidationEntryError.isShown(input)) {
+        err.show()
+      }
+    }
+
+    input.addEventListener('input', onChange)
+    input.addEventListener('blur', onChange)
+  })
+}
+
+/**
+ * Show field errors sent by API next to their field.
+ * `contact.email` targets the `#email` field, `shipping.postalCode` the
+ * `#postalCode` one.
+ *
+ * @param {FieldError[]} fieldErrors
+ * @returns {FieldError[]} Errors without a matching field
+ */
+export function showFieldErrors (fieldErrors) {
+  const entries = []
+  const others = []
+
+  fieldErrors.forEach((fieldError) => {
+    const name = fieldError.field.replace(/^(contact|shipping)\./, '')
+    const id = FIELD_IDS[fieldError.field] || name
+    const el = /^\w+$/.test(id) && document.getElementById(id)
+
+    if (el) {
+      entries.push(new ValidationEntryError(fieldErrorMessage(name, fieldError.code), el))
+    } else {
+      others.push(fieldError)
+    }
+  })
+
+  if (entries.length) {
+    new ValidationError(entries).showErrors()
+  }
+
+  return others
+}
@@ -1,7 +1,7 @@
 type Products = Product[]
 type Cart = CartItem[]
 type CartProducts = CartProduct[]
-type CartProduct = Product & Omit<CartItem, 'productId'>
+type CartProduct = Product & Omit<CartItem, 'productId' | 'color'> & Pick<Variant, 'sku' | 'color'>
 
 type RecordsType = 'insert' | 'update' | 'remove'
 
@@ -14,19 +14,171 @@ type UpdateItemHandlers = {
 }
 
 interface Product {
+  /** colors of variants */
   colors: string[]
+  variants: Variant[]
   _id: string
   name: string
   price: number
+  currency: string
   imageUrl: string
+  /** resized variants of image */
+  srcset: string
   description: string
   altTxt: string
+  /** language of name, description and altTxt */
+  lang: string
+}
+
+interface Variant {
+  sku: string
+  color: string
+  /** product price unless overridden */
+  price: number
+  /** product image unless overridden */
+  imageUrl: string
+  srcset: string
+  /** not tracked when missing */
+  stock?: number
 }
 
 interface CartItem {
   productId: Product['_id']
+  sku: Variant['sku']
   quantity: number
-  color: string
+  /** items saved before variants existed refer to a color instead of a SKU */
+  color?: string
+}
+
+interface ServerCart {
+  cartId: string
+  products: Cart
+  createdAt: string
+  updatedAt: string
+}
+
+interface User {
+  userId: string
+  email: string
+  contact: Contact
+  createdAt: string
+}
+
+interface Session {
+  token: string
+  user: User
+}
+
+interface Contact {
+  firstName: string
+  lastName: string
+  address: string
+  city: string
+  email: string
+}
+
+interface OrderLine extends CartItem {
+  name: Product['name']
+  color: Variant['color']
+  price: Product['price']
+  imageUrl: Product['imageUrl']
+  altTxt: Product['altTxt']
+  subtotal: number
+  taxRate: number
+  subtotalExclTax: number
+  tax: number
+}
+
+interface Tax {
+  country: string
+  rate: number
+  totalExclTax: number
+  totalTax: number
+}
+
+interface Promotion {
+  code: string
+  description: string
+}
+
+interface ShippingMethod {
+  id: string
+  name: string
+  delay: string
+  cost: number
+}
+
+interface ShippingQuote {
+  currency: string
+  country: string
+  postalCode: string
+  methods: ShippingMethod[]
+}
+
+interface Shipping {
+  method: ShippingMethod['id']
+  country: string
+  postalCode: string
+}
+
+interface QuotedShipping extends Shipping {
+  name: ShippingMethod['name']
+  delay: ShippingMethod['delay']
+  cost: number
+}
+
+interface Quote {
+  currency: string
+  exchangeRate: number
+  products: OrderLine[]
+  totalQuantity: number
+  subtotal: number
+  discount: number
+  promotion: Promotion | null
+  shipping: QuotedShipping | null
+  tax: Tax
+  total: number
+}
+
+type OrderStatus = 'pending' | 'paid' | 'preparing' | 'shipped' | 'delivered' | 'cancelled' | 'refunded'
+
+interface Order extends Quote {
+  orderId: string
+  userId: User['userId'] | null
+  contact: Contact
+  lang: string
+  status: OrderStatus
+  statusUpdatedAt: string
+  /** Set once the invoice is first downloaded */
+  invoice?: Invoice
+  createdAt: string
+}
+
+interface Invoice {
+  /** Sequential by year, e.g. `2026-000042` */
+  number: string
+  issuedAt: string
+}
+
+type PaymentStatus = 'requires_payment_method' | 'processing' | 'succeeded' | 'refunded' | 'cancelled' | 'expired'
+
+interface Payment {
+  paymentId: string
+  orderId: Order['orderId']
+  provider: string
+  amount: number
+  currency: string
+  status: PaymentStatus
+  /** Why the last attempt was declined */
+  reason: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+interface FieldError {
+  field: string
+  code: string
+  message: string
 }
 
 interface CartElement {
@@ -45,3 +197,10 @@ interface CartElement {
   settingsDelete: HTMLDivElement
   deleteItem: HTMLParagraphElement
 }
+
+interface Config {
+  /** profile selected in `config.json`, if any */
+  profile: string | null
+  /** absolute URL, ending with a slash */
+  apiUrl: string
+}